@@ -3,8 +3,23 @@ const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const multer = require('multer');
 const cloudinary = require('./cloudinary'); // already configured
 
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'];
+
+// multer-storage-cloudinary only reports url/size/public_id; keep the image
+// dimensions and format too so chat attachments can carry them (see utils/attachments.js)
+class MediaCloudinaryStorage extends CloudinaryStorage {
+  upload(opts, file) {
+    return super.upload(opts, file).then((resp) => {
+      file.width = resp.width;
+      file.height = resp.height;
+      file.format = resp.format;
+      return resp;
+    });
+  }
+}
+
 // Configure Cloudinary storage
-const storage = new CloudinaryStorage({
+const storage = new MediaCloudinaryStorage({
   cloudinary,
   params: async (req, file) => {
     return {
@@ -17,8 +32,7 @@ const storage = new CloudinaryStorage({
 
 // File type filter
 const fileFilter = (req, file, cb) => {
-  const allowed = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'];
-  if (allowed.includes(file.mimetype)) {
+  if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error('Unsupported file type'), false);
@@ -33,3 +47,4 @@ const parser = multer({
 });
 
 module.exports = parser;
+module.exports.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
@@ -0,0 +1,191 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Report = require("../models/Report");
+const { paginate } = require("../utils/pagination");
+const { escapeRegex } = require("../utils/text");
+const { populateFeed } = require("../utils/feed");
+const { deletePostCascade, deleteCommentThread } = require("../utils/cleanup");
+
+// Handlers below are mounted in routes/admin.js behind auth + authorize('admin').
+// Unlike the public API they see hidden content and private accounts.
+
+const isId = (id) => mongoose.Types.ObjectId.isValid(id);
+const ROLES = User.schema.path("role").enumValues;
+
+// Reports about content that an admin deleted are closed with it
+function closeReportsOn(req, targetType, targets) {
+  return Report.updateMany(
+    { targetType, target: { $in: targets }, status: "open" },
+    { $set: { status: "actioned", moderator: req.user.id, note: "Deleted by an admin", resolvedAt: new Date() } }
+  );
+}
+
+// -------------------------
+// LIST / SEARCH users (?q=&role=&suspended=true|false&before=&after=&limit=), newest first
+// q matches username or email
+// -------------------------
+exports.listUsers = async (req, res) => {
+  try {
+    const filter = {};
+    const q = typeof req.query.q === "string" ? req.query.q.trim().slice(0, 100) : "";
+    if (q) {
+      const re = new RegExp(escapeRegex(q), "i");
+      filter.$or = [{ username: re }, { email: re }];
+    }
+    if (req.query.role) {
+      if (!ROLES.includes(req.query.role)) {
+        return res.status(400).json({ msg: `role must be one of: ${ROLES.join(", ")}` });
+      }
+      filter.role = req.query.role;
+    }
+    if (req.query.suspended === "true") filter.suspendedAt = { $ne: null };
+    if (req.query.suspended === "false") filter.suspendedAt = null;
+
+    const { items, hasMore, cursors } = await paginate(User, filter, req.query, {
+      build: (query) => query.select("username email avatar role isPrivate strikes suspendedAt suspendedUntil createdAt").lean(),
+    });
+
+    res.json({ hasMore, users: items, cursors });
+  } catch (err) {
+    console.error("❌ Error in listUsers:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// GET one user with activity and report counts
+// -------------------------
+exports.getUser = async (req, res) => {
+  try {
+    const user = isId(req.params.id) ? await User.findById(req.params.id).select("-password").lean() : null;
+    if (!user) return res.status(404).json({ msg: "User not found" });
+
+    const [posts, comments, reportsAgainst, openReportsAgainst, reportsFiled] = await Promise.all([
+      Post.countDocuments({ user: user._id }),
+      Comment.countDocuments({ user: user._id }),
+      Report.countDocuments({ targetOwner: user._id }),
+      Report.countDocuments({ targetOwner: user._id, status: "open" }),
+      Report.countDocuments({ reporter: user._id }),
+    ]);
+
+    res.json({ ...user, stats: { posts, comments, reportsAgainst, openReportsAgainst, reportsFiled } });
+  } catch (err) {
+    console.error("❌ Error in admin getUser:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// SET a user's role: body { role }
+// -------------------------
+exports.setUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) return res.status(400).json({ msg: `role must be one of: ${ROLES.join(", ")}` });
+    if (req.params.id === req.user.id) return res.status(400).json({ msg: "You cannot change your own role" });
+
+    const user = isId(req.params.id)
+      ? await User.findByIdAndUpdate(req.params.id, { $set: { role } }, { new: true }).select("username role")
+      : null;
+    if (!user) return res.status(404).json({ msg: "User not found" });
+
+    res.json(user);
+  } catch (err) {
+    console.error("❌ Error in setUserRole:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// GET a user's posts, hidden ones included (?before= / ?after= / ?limit=)
+// -------------------------
+exports.getUserPosts = async (req, res) => {
+  try {
+    if (!isId(req.params.id) || !(await User.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    const { items, hasMore, cursors } = await paginate(Post, { user: req.params.id }, req.query, {
+      build: (q) => populateFeed(q).lean(),
+    });
+
+    res.json({ hasMore, posts: items, cursors });
+  } catch (err) {
+    console.error("❌ Error in admin getUserPosts:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// GET reports about a user's content (?as=target, default) or filed by them (?as=reporter)
+// (?status= / ?before= / ?after= / ?limit=)
+// -------------------------
+exports.getUserReports = async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(404).json({ msg: "User not found" });
+
+    const as = req.query.as || "target";
+    if (!["target", "reporter"].includes(as)) return res.status(400).json({ msg: "as must be target or reporter" });
+
+    const filter = as === "reporter" ? { reporter: req.params.id } : { targetOwner: req.params.id };
+    if (req.query.status) {
+      if (!Report.STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ msg: `status must be one of: ${Report.STATUSES.join(", ")}` });
+      }
+      filter.status = req.query.status;
+    }
+
+    const { items, hasMore, cursors } = await paginate(Report, filter, req.query, {
+      build: (q) =>
+        q
+          .populate("reporter", "username avatar")
+          .populate("targetOwner", "username avatar")
+          .populate("moderator", "username")
+          .lean(),
+    });
+
+    res.json({ hasMore, reports: items, cursors });
+  } catch (err) {
+    console.error("❌ Error in getUserReports:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// FORCE DELETE any post (same cascade as the owner's delete)
+// -------------------------
+exports.deletePost = async (req, res) => {
+  try {
+    const post = isId(req.params.id) ? await Post.findById(req.params.id) : null;
+    if (!post) return res.status(404).json({ msg: "Post not found" });
+
+    const removed = await deletePostCascade(post);
+    await closeReportsOn(req, "post", removed.posts);
+    await closeReportsOn(req, "comment", removed.comments);
+
+    res.json({ msg: "Post removed", postId: post._id });
+  } catch (err) {
+    console.error("❌ Error in admin deletePost:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// FORCE DELETE any comment and its replies
+// -------------------------
+exports.deleteComment = async (req, res) => {
+  try {
+    const comment = isId(req.params.id) ? await Comment.findById(req.params.id) : null;
+    if (!comment) return res.status(404).json({ msg: "Comment not found" });
+
+    const thread = await deleteCommentThread(comment);
+    await closeReportsOn(req, "comment", thread);
+
+    res.json({ msg: "Comment removed", commentId: comment._id, postId: comment.post, deleted: thread.length });
+  } catch (err) {
+    console.error("❌ Error in admin deleteComment:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
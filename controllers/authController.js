@@ -1,6 +1,13 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { suspensionPayload } = require('../middleware/auth');
+const { tooManyRequests } = require('../middleware/rateLimit');
+const { loginLockedFor, recordLoginFailure, clearLoginFailures } = require('../utils/rateLimit');
+const { loginPayload, signChallengeToken, refreshSession, revokeSessions } = require('../utils/sessions');
+const { readEmailToken, matchesUser } = require('../utils/emailTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
 
 // -------------------------
 // REGISTER
@@ -26,19 +33,11 @@ exports.registerUser = async (req, res) => {
 
     await user.save();
 
-    // ✅ token contains { id: user.id }
-    const payload = { id: user.id };
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
-
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar
-      }
-    });
+    // a mail failure must not fail the sign-up: the link can be sent again
+    sendVerificationEmail(user).catch((e) => console.error("Verification email failed:", e.message));
+
+    // ✅ short-lived access token { id, sid } + rotating refresh token (utils/sessions.js)
+    res.json(await loginPayload(req, user));
   } catch (err) {
     console.error("Error in registerUser:", err.message);
     res.status(500).json({ msg: err.message || "Server error" });
@@ -52,25 +51,29 @@ exports.loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // progressive lockout after repeated failures (utils/rateLimit.js)
+    const attempt = { ip: req.ip, account: email };
+    const lockedFor = await loginLockedFor(attempt);
+    if (lockedFor) return tooManyRequests(res, lockedFor);
+
     const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ msg: 'Invalid credentials' });
-
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ msg: 'Invalid credentials' });
-
-    // ✅ token contains { id: user.id }
-    const payload = { id: user.id };
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
-
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar
-      }
-    });
+    const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+    if (!isMatch) {
+      await recordLoginFailure(attempt);
+      return res.status(400).json({ msg: 'Invalid credentials' });
+    }
+
+    if (user.isSuspended()) return res.status(403).json(suspensionPayload(user));
+
+    // second step of a 2FA login: POST /api/auth/2fa/verify with this challenge + a code
+    if (user.twoFactor?.enabled) {
+      return res.json({ twoFactorRequired: true, ...signChallengeToken(user) });
+    }
+
+    await clearLoginFailures(attempt);
+
+    // ✅ short-lived access token { id, sid } + rotating refresh token (utils/sessions.js)
+    res.json(await loginPayload(req, user));
   } catch (err) {
     console.error("Error in loginUser:", err.message);
     res.status(500).json({ msg: err.message || "Server error" });
@@ -89,3 +92,181 @@ exports.getUser = async (req, res) => {
     res.status(500).json({ msg: err.message || "Server error" });
   }
 };
+
+// -------------------------
+// REFRESH: body { refreshToken } => new { token, refreshToken } (the old refresh token stops working)
+// -------------------------
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ msg: 'refreshToken is required' });
+
+    // suspended accounts cannot renew their tokens either; checked before the token is spent
+    const current = await Session.findByToken(refreshToken);
+    if (current) {
+      const user = await User.findById(current.user).select('suspendedAt suspendedUntil suspensionReason');
+      if (!user) return res.status(401).json({ msg: 'User not found' });
+      if (user.isSuspended()) return res.status(403).json(suspensionPayload(user));
+    }
+
+    const { token, refreshToken: next, expiresIn } = await refreshSession(req, refreshToken);
+    res.json({ token, refreshToken: next, expiresIn });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ msg: err.message });
+    console.error("Error in refreshToken:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// LOGOUT this device
+// -------------------------
+exports.logout = async (req, res) => {
+  try {
+    await revokeSessions(req.app.get('io'), { _id: req.user.sid, user: req.user.id }, 'logout');
+    res.json({ msg: 'Logged out' });
+  } catch (err) {
+    console.error("Error in logout:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// LOGOUT every device (this one included)
+// -------------------------
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.app.get('io'), { user: req.user.id }, 'logout all devices');
+    res.json({ msg: 'Logged out of all devices', revoked });
+  } catch (err) {
+    console.error("Error in logoutAll:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// LIST my signed-in devices, most recently used first
+// -------------------------
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .lean();
+
+    res.json(sessions.map((s) => ({ ...s, current: String(s._id) === req.user.sid })));
+  } catch (err) {
+    console.error("Error in getSessions:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// SIGN OUT one of my devices
+// -------------------------
+exports.revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ msg: 'Session not found' });
+
+    const revoked = await revokeSessions(req.app.get('io'), { _id: req.params.id, user: req.user.id }, 'signed out remotely');
+    if (!revoked) return res.status(404).json({ msg: 'Session not found' });
+
+    res.json({ msg: 'Session revoked' });
+  } catch (err) {
+    console.error("Error in revokeSession:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// SEND the verification email again (logged in)
+// -------------------------
+exports.sendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+    if (user.emailVerified) return res.status(400).json({ msg: 'Email already verified' });
+
+    await sendVerificationEmail(user);
+    res.json({ msg: 'Verification email sent' });
+  } catch (err) {
+    console.error("Error in sendVerification:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// VERIFY EMAIL: body { token } from the emailed link
+// -------------------------
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    const userId = token ? readEmailToken('verifyEmail', token) : null;
+    const user = userId && mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId) : null;
+    if (!user || !matchesUser('verifyEmail', token, user)) {
+      return res.status(400).json({ msg: 'Invalid or expired verification link' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ msg: 'Email verified', emailVerified: true });
+  } catch (err) {
+    console.error("Error in verifyEmail:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// FORGOT PASSWORD: body { email } — always the same answer, so accounts cannot be probed
+// -------------------------
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') return res.status(400).json({ msg: 'Email is required' });
+
+    // not awaited: a registered email must not answer slower, or fail when the transport does
+    const user = await User.findOne({ email: email.trim() });
+    if (user) sendPasswordResetEmail(user).catch((e) => console.error("Password reset email failed:", e.message));
+
+    res.json({ msg: 'If that email is registered, a reset link is on its way' });
+  } catch (err) {
+    console.error("Error in forgotPassword:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// RESET PASSWORD: body { token, password } — the link works once; every device is signed out
+// -------------------------
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!password || typeof password !== 'string') return res.status(400).json({ msg: 'Password is required' });
+
+    const userId = token ? readEmailToken('resetPassword', token) : null;
+    const user = userId && mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId) : null;
+    if (!user || !matchesUser('resetPassword', token, user)) {
+      return res.status(400).json({ msg: 'Invalid or expired reset link' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    // the link arrived by email, so the address is proven too
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeSessions(req.app.get('io'), { user: user._id }, 'password reset');
+
+    res.json({ msg: 'Password has been reset, please log in' });
+  } catch (err) {
+    console.error("Error in resetPassword:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
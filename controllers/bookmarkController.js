@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const Bookmark = require("../models/Bookmark");
+const Post = require("../models/Post");
+const { paginate } = require("../utils/pagination");
+const { POST_POPULATE, decoratePosts } = require("../utils/feed");
+const { viewerScope, isVisible, canViewPost, hideOriginals } = require("../utils/visibility");
+
+// Bookmarks are private: every handler works on req.user.id's own bookmarks only.
+
+// body/query `collection`: a trimmed name, or null for "no collection"
+function parseCollection(value) {
+  if (typeof value !== "string") return null;
+  const name = value.trim();
+  return name ? name : null;
+}
+
+// -------------------------
+// SAVE a post (body: { collection? }) — saving again moves it to that collection
+// -------------------------
+exports.bookmarkPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const post = mongoose.Types.ObjectId.isValid(id) ? await Post.findById(id).select("user hidden") : null;
+    if (!post || !(await canViewPost(req.user.id, post))) {
+      return res.status(404).json({ msg: "Post not found" });
+    }
+
+    const collectionName = parseCollection(req.body.collection);
+    if (collectionName && collectionName.length > Bookmark.MAX_COLLECTION_LENGTH) {
+      return res.status(400).json({ msg: `Collection name can be at most ${Bookmark.MAX_COLLECTION_LENGTH} characters` });
+    }
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { user: req.user.id, post: id },
+      { $set: { collectionName } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({ postId: id, bookmarked: true, collection: bookmark.collectionName, savedAt: bookmark.createdAt });
+  } catch (err) {
+    console.error("❌ Error in bookmarkPost:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// REMOVE a bookmark
+// -------------------------
+exports.unbookmarkPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(404).json({ msg: "Post not found" });
+
+    await Bookmark.deleteOne({ user: req.user.id, post: id });
+    res.json({ postId: id, bookmarked: false });
+  } catch (err) {
+    console.error("❌ Error in unbookmarkPost:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// GET my bookmarks, most recently saved first (?collection= / ?before= / ?after= / ?limit=)
+// Posts are populated and decorated like the feeds, plus `bookmark: { collection, savedAt }`.
+// Cursors point at the save time, not the post time.
+// -------------------------
+exports.getBookmarks = async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (typeof req.query.collection === "string") filter.collectionName = parseCollection(req.query.collection);
+
+    const { items, hasMore, cursors } = await paginate(Bookmark, filter, req.query, {
+      build: (q) => q.populate({ path: "post", populate: POST_POPULATE }),
+    });
+
+    // posts removed outside deletePost (e.g. scripts) leave dangling bookmarks behind
+    const dangling = items.filter((b) => !b.post).map((b) => b._id);
+    if (dangling.length) await Bookmark.deleteMany({ _id: { $in: dangling } });
+
+    // saved posts stay saved, but are not shown while their author is hidden from me
+    const scope = await viewerScope(req.user.id);
+    const saved = items.filter((b) => b.post && isVisible(b.post, scope));
+    const posts = await decoratePosts(saved.map((b) => b.post), req.user.id);
+    posts.forEach((post, i) => {
+      post.bookmark = { collection: saved[i].collectionName, savedAt: saved[i].createdAt };
+    });
+
+    res.json({ hasMore, posts: hideOriginals(posts, scope), cursors });
+  } catch (err) {
+    console.error("❌ Error in getBookmarks:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// GET my bookmark collections with counts (name null = saved without a collection)
+// -------------------------
+exports.getBookmarkCollections = async (req, res) => {
+  try {
+    res.json(await Bookmark.collectionsFor(req.user.id));
+  } catch (err) {
+    console.error("❌ Error in getBookmarkCollections:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
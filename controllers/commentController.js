@@ -0,0 +1,242 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const { paginate } = require("../utils/pagination");
+const { resolveMentions, notifyMentions } = require("../utils/mentions");
+const { populateFeed, decoratePost } = require("../utils/feed");
+const { listLikers } = require("../utils/likers");
+const { notify } = require("../socket/notify");
+const { deleteCommentThread } = require("../utils/cleanup");
+const { canViewPost } = require("../utils/visibility");
+
+const isId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Helper: the post behind a comments route, or null when it is missing or the viewer may not see it
+async function findVisiblePost(req, postId) {
+  const post = isId(postId) ? await Post.findById(postId) : null;
+  return post && (await canViewPost(req.user.id, post)) ? post : null;
+}
+
+// Helper: a comment of a post the viewer may see, or null
+async function findVisibleComment(req, postId, commentId, select) {
+  if (!isId(commentId) || !(await findVisiblePost(req, postId))) return null;
+  const query = Comment.findOne({ _id: commentId, post: postId });
+  return select ? query.select(select) : query;
+}
+
+const populateComment = (target) =>
+  target.populate([
+    { path: "user", select: "username avatar" },
+    { path: "mentions", select: "username" },
+  ]);
+
+// Mutations answer with the refreshed post (commentCount + commentPreview) as before,
+// plus the affected `comment`
+async function sendPostWithComment(req, res, postId, comment) {
+  const post = await populateFeed(Post.findById(postId));
+  if (!post) return res.status(404).json({ msg: "Post not found" });
+  res.json({ ...(await decoratePost(post, req.user.id)), comment });
+}
+
+// -------------------------
+// GET top-level comments of a post, newest first (?before= / ?after= / ?limit=)
+// -------------------------
+exports.getComments = async (req, res) => {
+  try {
+    if (!(await findVisiblePost(req, req.params.id))) return res.status(404).json({ msg: "Post not found" });
+
+    const { items, hasMore, cursors } = await paginate(
+      Comment,
+      { post: req.params.id, parent: null, hidden: { $ne: true } },
+      req.query,
+      { build: (q) => populateComment(q).lean() }
+    );
+
+    res.json({ hasMore, comments: items, cursors });
+  } catch (err) {
+    console.error("❌ Error in getComments:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// GET direct replies to a comment, oldest first (?after= / ?before= / ?limit=)
+// -------------------------
+exports.getReplies = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    if (!(await findVisibleComment(req, postId, commentId, "_id"))) return res.status(404).json({ msg: "Comment not found" });
+
+    const { items, hasMore, cursors } = await paginate(
+      Comment,
+      { parent: commentId, hidden: { $ne: true } },
+      req.query,
+      { order: "asc", start: "oldest", build: (q) => populateComment(q).lean() }
+    );
+
+    res.json({ hasMore, replies: items, cursors });
+  } catch (err) {
+    console.error("❌ Error in getReplies:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// ADD COMMENT (body: { text, parent? } — parent makes it a reply)
+// -------------------------
+exports.addComment = async (req, res) => {
+  try {
+    const { text, parent } = req.body;
+    if (!text) return res.status(400).json({ msg: "Comment text is required" });
+
+    const post = await findVisiblePost(req, req.params.id);
+    if (!post) return res.status(404).json({ msg: "Post not found" });
+
+    let parentComment = null;
+    if (parent) {
+      parentComment = isId(parent) ? await Comment.findOne({ _id: parent, post: post._id }) : null;
+      if (!parentComment) return res.status(404).json({ msg: "Parent comment not found" });
+    }
+
+    const mentioned = await resolveMentions(text, req.user.id);
+    const comment = await Comment.create({
+      post: post._id,
+      user: req.user.id,
+      authorPrivate: Boolean(await User.exists({ _id: req.user.id, isPrivate: true })), // utils/visibility.js
+      parent: parentComment ? parentComment._id : null,
+      ancestors: parentComment ? [...parentComment.ancestors, parentComment._id] : [],
+      text,
+      mentions: mentioned.map((u) => u._id),
+    });
+
+    await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+    if (parentComment) await Comment.updateOne({ _id: parentComment._id }, { $inc: { replyCount: 1 } });
+
+    await notifyMentions(req, mentioned, [], post._id, text);
+
+    await populateComment(comment);
+    await sendPostWithComment(req, res, post._id, comment);
+  } catch (err) {
+    console.error("❌ Error in addComment:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// UPDATE a comment
+// -------------------------
+exports.updateComment = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const { text } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ msg: "Comment text is required" });
+    }
+
+    const comment = isId(commentId) && isId(postId) ? await Comment.findOne({ _id: commentId, post: postId }) : null;
+    if (!comment) return res.status(404).json({ msg: "Comment not found" });
+
+    // Only owner can edit
+    if (comment.user.toString() !== req.user.id) {
+      return res.status(401).json({ msg: "Not authorized" });
+    }
+
+    const mentioned = await resolveMentions(text, req.user.id);
+    const previousMentions = [...comment.mentions];
+
+    comment.text = text;
+    comment.mentions = mentioned.map((u) => u._id);
+    comment.edited = true;
+
+    await comment.save();
+
+    await notifyMentions(req, mentioned, previousMentions, comment.post, text);
+
+    await populateComment(comment);
+    await sendPostWithComment(req, res, comment.post, comment);
+  } catch (err) {
+    console.error("❌ Error in updateComment:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// LIKE / UNLIKE a comment (the author is notified on like)
+// -------------------------
+exports.likeComment = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+
+    const comment = await findVisibleComment(req, postId, commentId);
+    if (!comment) return res.status(404).json({ msg: "Comment not found" });
+
+    const liked = !comment.likes.some((id) => id.toString() === req.user.id);
+    if (liked) {
+      comment.likes.push(req.user.id); // Like
+    } else {
+      comment.likes.pull(req.user.id); // Unlike
+    }
+
+    await comment.save();
+    await populateComment(comment);
+
+    if (liked) {
+      const me = await User.findById(req.user.id).select("username");
+      await notify(req.app.get("io"), {
+        type: "comment_like",
+        toUsername: comment.user?.username,
+        fromUsername: me?.username,
+        postId: comment.post,
+        message: comment.text.slice(0, 100),
+      });
+    }
+
+    res.json(comment);
+  } catch (err) {
+    console.error("❌ Error in likeComment:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// GET who liked a comment, people I follow first (?cursor= / ?limit=)
+// -------------------------
+exports.getCommentLikes = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+
+    const comment = await findVisibleComment(req, postId, commentId, "likes");
+    if (!comment) return res.status(404).json({ msg: "Comment not found" });
+
+    res.json(await listLikers(comment.likes, req.user.id, req.query));
+  } catch (err) {
+    console.error("❌ Error in getCommentLikes:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// DELETE a comment (and every reply under it)
+// -------------------------
+exports.deleteComment = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+
+    const comment = isId(commentId) && isId(postId) ? await Comment.findOne({ _id: commentId, post: postId }) : null;
+    if (!comment) return res.status(404).json({ msg: "Comment not found" });
+
+    // Only owner of comment can delete
+    if (comment.user.toString() !== req.user.id) {
+      return res.status(401).json({ msg: "Not authorized" });
+    }
+
+    const deleted = (await deleteCommentThread(comment)).length;
+
+    await sendPostWithComment(req, res, comment.post, { _id: comment._id, deleted });
+  } catch (err) {
+    console.error("❌ Error in deleteComment:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { postGroupMessage, emitConversationUpdated } = require('../socket/groups');
+const { MAX_ATTACHMENTS, fileToAttachment, sanitizeAttachments } = require('../utils/attachments');
+const { deleteMessages } = require('../utils/cleanup');
+
+// Handlers below are mounted in routes/conversations.js behind auth + loadUsername,
+// so req.user.username is set.
+
+const MAX_TEXT = 2000;
+
+/**
+ * Helper: load a conversation the caller belongs to.
+ * Responds 404 / 403 itself and returns null when access is not allowed.
+ */
+async function findForMember(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(404).json({ msg: 'Conversation not found' });
+    return null;
+  }
+  const conversation = await Conversation.findById(id);
+  if (!conversation) {
+    res.status(404).json({ msg: 'Conversation not found' });
+    return null;
+  }
+  if (!conversation.hasMember(req.user.username)) {
+    res.status(403).json({ msg: 'Not a member of this conversation' });
+    return null;
+  }
+  return conversation;
+}
+
+/**
+ * Helper: trim + dedupe a list of usernames and keep only the ones that exist
+ * @returns {Promise<Array<String>>}
+ */
+async function existingUsernames(usernames) {
+  const wanted = [...new Set(
+    (Array.isArray(usernames) ? usernames : [])
+      .filter((u) => typeof u === 'string')
+      .map((u) => u.trim())
+      .filter(Boolean)
+  )];
+  if (wanted.length === 0) return [];
+  const users = await User.find({ username: { $in: wanted } }).select('username').lean();
+  return users.map((u) => u.username);
+}
+
+// Create a group: body { title, members: [username] } — the creator becomes admin
+exports.createConversation = async (req, res) => {
+  try {
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!title) return res.status(400).json({ msg: 'Title is required' });
+
+    const me = req.user.username;
+    const others = (await existingUsernames(req.body.members)).filter((u) => u !== me);
+    if (others.length === 0) {
+      return res.status(400).json({ msg: 'A group needs at least one other existing member' });
+    }
+    if (others.length + 1 > Conversation.MAX_MEMBERS) {
+      return res.status(400).json({ msg: `A group can have at most ${Conversation.MAX_MEMBERS} members` });
+    }
+
+    const conversation = await Conversation.create({
+      title,
+      admin: me,
+      members: [me, ...others].map((username) => ({ username }))
+    });
+
+    emitConversationUpdated(req.app.get('io'), conversation);
+    res.status(201).json(conversation);
+  } catch (err) {
+    console.error('createConversation error:', err);
+    res.status(500).json({ msg: 'Failed to create conversation' });
+  }
+};
+
+// List the groups I belong to (inbox rows with my unread count)
+exports.getConversations = async (req, res) => {
+  try {
+    const conversations = await Conversation.getInbox(req.user.username, { limit: req.query.limit });
+    res.json(conversations);
+  } catch (err) {
+    console.error('getConversations error:', err);
+    res.status(500).json({ msg: 'Failed to fetch conversations' });
+  }
+};
+
+// Get one group
+exports.getConversation = async (req, res) => {
+  try {
+    const conversation = await findForMember(req, res);
+    if (!conversation) return;
+    res.json(conversation);
+  } catch (err) {
+    console.error('getConversation error:', err);
+    res.status(500).json({ msg: 'Failed to fetch conversation' });
+  }
+};
+
+// Rename a group (admin only): body { title }
+exports.updateConversation = async (req, res) => {
+  try {
+    const conversation = await findForMember(req, res);
+    if (!conversation) return;
+    if (conversation.admin !== req.user.username) {
+      return res.status(403).json({ msg: 'Only the admin can edit this conversation' });
+    }
+
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!title) return res.status(400).json({ msg: 'Title is required' });
+
+    conversation.title = title;
+    await conversation.save();
+
+    emitConversationUpdated(req.app.get('io'), conversation);
+    res.json(conversation);
+  } catch (err) {
+    console.error('updateConversation error:', err);
+    res.status(500).json({ msg: 'Failed to update conversation' });
+  }
+};
+
+// Add members (admin only): body { members: [username] }
+exports.addMembers = async (req, res) => {
+  try {
+    const conversation = await findForMember(req, res);
+    if (!conversation) return;
+    if (conversation.admin !== req.user.username) {
+      return res.status(403).json({ msg: 'Only the admin can add members' });
+    }
+
+    const added = (await existingUsernames(req.body.members)).filter((u) => !conversation.hasMember(u));
+    if (added.length === 0) return res.status(400).json({ msg: 'No new existing users to add' });
+    if (conversation.members.length + added.length > Conversation.MAX_MEMBERS) {
+      return res.status(400).json({ msg: `A group can have at most ${Conversation.MAX_MEMBERS} members` });
+    }
+
+    for (const username of added) conversation.members.push({ username });
+    await conversation.save();
+
+    emitConversationUpdated(req.app.get('io'), conversation);
+    res.json(conversation);
+  } catch (err) {
+    console.error('addMembers error:', err);
+    res.status(500).json({ msg: 'Failed to add members' });
+  }
+};
+
+// Remove a member: the admin can remove anyone, any member can remove themselves (leave).
+// When the admin leaves, the longest-standing remaining member becomes admin;
+// when the last member leaves, the group and its messages are deleted.
+exports.removeMember = async (req, res) => {
+  try {
+    const conversation = await findForMember(req, res);
+    if (!conversation) return;
+
+    const me = req.user.username;
+    const target = req.params.username;
+    if (target !== me && conversation.admin !== me) {
+      return res.status(403).json({ msg: 'Only the admin can remove other members' });
+    }
+    if (!conversation.hasMember(target)) return res.status(404).json({ msg: 'Member not found' });
+
+    conversation.members = conversation.members.filter((m) => m.username !== target);
+
+    if (conversation.members.length === 0) {
+      await deleteMessages({ conversation: conversation._id });
+      await conversation.deleteOne();
+      return res.json({ msg: 'Conversation deleted' });
+    }
+
+    if (conversation.admin === target) {
+      conversation.admin = [...conversation.members].sort((a, b) => a.joinedAt - b.joinedAt)[0].username;
+    }
+    await conversation.save();
+
+    emitConversationUpdated(req.app.get('io'), conversation, [target]);
+    res.json(conversation);
+  } catch (err) {
+    console.error('removeMember error:', err);
+    res.status(500).json({ msg: 'Failed to remove member' });
+  }
+};
+
+// Group history (cursor paginated: ?before= / ?after= / ?limit=)
+exports.getMessages = async (req, res) => {
+  try {
+    const conversation = await findForMember(req, res);
+    if (!conversation) return;
+
+    const { before, after, limit } = req.query;
+    const page = await Message.getGroupMessages(conversation._id, { before, after, limit, viewer: req.user.username });
+    res.json(page);
+  } catch (err) {
+    console.error('getMessages error:', err);
+    res.status(err.status || 500).json({ msg: err.status ? err.message : 'Failed to fetch messages' });
+  }
+};
+
+// Route middleware for uploads: check membership before uploadImages runs, so non-members
+// upload nothing; the conversation is kept on req.conversation
+exports.requireMember = async (req, res, next) => {
+  try {
+    const conversation = await findForMember(req, res);
+    if (!conversation) return;
+    req.conversation = conversation;
+    next();
+  } catch (err) {
+    console.error('requireMember error:', err);
+    res.status(500).json({ msg: 'Failed to fetch conversation' });
+  }
+};
+
+// Post to a group: body { text?, attachments? } or multipart with images[]
+exports.sendMessage = async (req, res) => {
+  try {
+    const conversation = req.conversation || (await findForMember(req, res));
+    if (!conversation) return;
+
+    const text = typeof req.body.text === 'string' ? req.body.text.trim().slice(0, MAX_TEXT) : '';
+    let attachments = req.body.attachments;
+    if (typeof attachments === 'string') {
+      try {
+        attachments = JSON.parse(attachments);
+      } catch (e) {
+        attachments = false;
+      }
+    }
+    attachments = sanitizeAttachments(attachments);
+    if (!attachments) return res.status(400).json({ msg: 'Invalid attachments' });
+
+    attachments = [...attachments, ...(req.files || []).map(fileToAttachment)];
+    if (attachments.length > MAX_ATTACHMENTS) {
+      return res.status(400).json({ msg: `At most ${MAX_ATTACHMENTS} attachments per message` });
+    }
+    if (!text && attachments.length === 0) return res.status(400).json({ msg: 'Message text or images required' });
+
+    const message = await postGroupMessage(req.app.get('io'), conversation, req.user.username, { text, attachments });
+    res.status(201).json(message);
+  } catch (err) {
+    console.error('sendMessage error:', err);
+    res.status(500).json({ msg: 'Failed to send message' });
+  }
+};
+
+// Reset my unread count
+exports.markRead = async (req, res) => {
+  try {
+    const conversation = await findForMember(req, res);
+    if (!conversation) return;
+
+    await Conversation.markRead(conversation._id, req.user.username);
+    res.json({ msg: 'Marked as read' });
+  } catch (err) {
+    console.error('markRead error:', err);
+    res.status(500).json({ msg: 'Failed to mark as read' });
+  }
+};
@@ -1,31 +1,58 @@
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Post = require('../models/Post');
+const Notification = require('../models/Notification');
+const Reaction = require('../models/Reaction');
+const { destroyAttachments } = require('../utils/attachments');
+const { emitToMembers } = require('../socket/groups');
+const { userRoom } = require('../socket/presence');
 
-// Send message
-exports.sendMessage = async (req, res) => {
-  try {
-    const { fromUsername, toUsername, text } = req.body;
+// How long after sending a message can still be unsent for everyone
+const UNSEND_WINDOW_MS = (Number(process.env.MESSAGE_UNSEND_WINDOW_MINUTES) || 15) * 60 * 1000;
+const MAX_TEXT = 2000;
 
-    if (!fromUsername || !toUsername || !text) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+// Handlers below are mounted in routes/messages.js behind auth, so req.user.username is set.
 
-    const message = await Message.create({ fromUsername, toUsername, text });
-    res.status(201).json(message);
-  } catch (err) {
-    console.error('sendMessage error:', err);
-    res.status(500).json({ error: 'Failed to send message' });
+// Helper: the attachments no other message or post uses. Clients send attachment metadata
+// themselves (utils/attachments.js), so an image may be shared and must then be kept.
+async function unsharedAttachments(messageId, attachments) {
+  const kept = [];
+  for (const a of attachments) {
+    const shared =
+      (await Message.exists({ _id: { $ne: messageId }, 'attachments.publicId': a.publicId })) ||
+      (await Post.exists({ image: a.url }));
+    if (!shared) kept.push(a);
   }
-};
+  return kept;
+}
+
+// Helper: set the group inbox preview to `text` while `message` is still the latest one
+function updateGroupPreview(message, text) {
+  if (!message.conversation) return null;
+  return Conversation.updateOne(
+    {
+      _id: message.conversation,
+      'lastMessage.createdAt': message.createdAt,
+      'lastMessage.fromUsername': message.fromUsername
+    },
+    { $set: { 'lastMessage.text': text } }
+  );
+}
 
-// Get conversation between two users
+// Get conversation between two users (cursor paginated: ?before= / ?after= / ?limit=)
 exports.getConversation = async (req, res) => {
   try {
     const { userA, userB } = req.params;
-    const messages = await Message.getConversation(userA, userB, { limit: 100, sort: 'asc' });
-    res.json(messages);
+    if (userA !== req.user.username && userB !== req.user.username) {
+      return res.status(403).json({ error: 'Not a participant of this conversation' });
+    }
+    const { before, after, limit } = req.query;
+    const page = await Message.getConversation(userA, userB, { before, after, limit, viewer: req.user.username });
+    res.json(page);
   } catch (err) {
     console.error('getConversation error:', err);
-    res.status(500).json({ error: 'Failed to fetch conversation' });
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to fetch conversation' });
   }
 };
 
@@ -33,6 +60,9 @@ exports.getConversation = async (req, res) => {
 exports.getRecentConversations = async (req, res) => {
   try {
     const { username } = req.params;
+    if (username !== req.user.username) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
     const conversations = await Message.getRecentConversations(username, { limit: 20 });
     res.json(conversations);
   } catch (err) {
@@ -40,3 +70,130 @@ exports.getRecentConversations = async (req, res) => {
     res.status(500).json({ error: 'Failed to fetch conversations' });
   }
 };
+
+/**
+ * Helper: load a message the caller can see, plus everyone who should get live updates for it.
+ * Responds 404 / 403 itself and returns null when access is not allowed.
+ * @returns {Promise<{ message: Object, audience: Array<String> }|null>}
+ */
+async function findForParticipant(req, res) {
+  const { id } = req.params;
+  const me = req.user.username;
+  const message = mongoose.Types.ObjectId.isValid(id) ? await Message.findById(id) : null;
+  if (!message || message.deletedFor.includes(me)) {
+    res.status(404).json({ error: 'Message not found' });
+    return null;
+  }
+
+  let audience;
+  if (message.conversation) {
+    const conversation = await Conversation.findById(message.conversation);
+    if (!conversation || !conversation.hasMember(me)) {
+      res.status(403).json({ error: 'Not a participant of this conversation' });
+      return null;
+    }
+    audience = conversation.memberUsernames();
+  } else {
+    if (!message.isDirectParticipant(me)) {
+      res.status(403).json({ error: 'Not a participant of this conversation' });
+      return null;
+    }
+    audience = [message.fromUsername, message.toUsername];
+  }
+
+  return { message, audience };
+}
+
+// Edit my message: body { text }
+exports.editMessage = async (req, res) => {
+  try {
+    const found = await findForParticipant(req, res);
+    if (!found) return;
+    const { message, audience } = found;
+
+    if (message.fromUsername !== req.user.username) {
+      return res.status(403).json({ error: 'You can only edit your own messages' });
+    }
+    if (message.unsent) return res.status(400).json({ error: 'Message was unsent' });
+
+    const text = typeof req.body.text === 'string' ? req.body.text.trim().slice(0, MAX_TEXT) : '';
+    if (!text && message.attachments.length === 0) {
+      return res.status(400).json({ error: 'Message text is required' });
+    }
+
+    message.text = text;
+    message.edited = true;
+    message.editedAt = new Date();
+    await message.save();
+
+    await updateGroupPreview(message, text);
+    await Notification.updateMany({ chatMessage: message._id }, { $set: { message: text || 'Sent a photo' } });
+
+    emitToMembers(req.app.get('io'), audience, 'messageEdited', message.toJSON());
+    res.json(message);
+  } catch (err) {
+    console.error('editMessage error:', err);
+    res.status(500).json({ error: 'Failed to edit message' });
+  }
+};
+
+// Unsend my message for everyone (time-limited)
+exports.unsendMessage = async (req, res) => {
+  try {
+    const found = await findForParticipant(req, res);
+    if (!found) return;
+    const { message, audience } = found;
+
+    if (message.fromUsername !== req.user.username) {
+      return res.status(403).json({ error: 'You can only unsend your own messages' });
+    }
+    if (message.unsent) return res.json(message);
+    if (Date.now() - message.createdAt.getTime() > UNSEND_WINDOW_MS) {
+      return res.status(400).json({ error: 'Message can no longer be unsent' });
+    }
+
+    const attachments = message.attachments.map((a) => a.toObject?.() || a);
+    message.text = '';
+    message.attachments = [];
+    message.unsent = true;
+    message.unsentAt = new Date();
+    await message.save();
+
+    // don't leave the unsent text or images behind: group inbox preview, notification, reactions, Cloudinary
+    await updateGroupPreview(message, '');
+    await Notification.deleteMany({ chatMessage: message._id });
+    await Reaction.deleteMany({ targetType: 'message', target: message._id });
+    await destroyAttachments(await unsharedAttachments(message._id, attachments));
+
+    emitToMembers(req.app.get('io'), audience, 'messageUnsent', {
+      id: message._id,
+      conversation: message.conversation,
+      fromUsername: message.fromUsername,
+      toUsername: message.toUsername,
+      unsentAt: message.unsentAt
+    });
+    res.json(message);
+  } catch (err) {
+    console.error('unsendMessage error:', err);
+    res.status(500).json({ error: 'Failed to unsend message' });
+  }
+};
+
+// Hide a message for me only; the other side is not told
+exports.deleteMessageForMe = async (req, res) => {
+  try {
+    const found = await findForParticipant(req, res);
+    if (!found) return;
+    const { message } = found;
+    const me = req.user.username;
+
+    await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: me } });
+
+    const io = req.app.get('io');
+    if (io) io.to(userRoom(me)).emit('messageDeleted', { id: message._id, conversation: message.conversation });
+    res.json({ msg: 'Message deleted', id: message._id });
+  } catch (err) {
+    console.error('deleteMessageForMe error:', err);
+    res.status(500).json({ error: 'Failed to delete message' });
+  }
+};
@@ -0,0 +1,224 @@
+const mongoose = require("mongoose");
+const Report = require("../models/Report");
+const User = require("../models/User");
+const { paginate } = require("../utils/pagination");
+const {
+  HIDEABLE_TYPES,
+  loadTarget,
+  setHidden,
+  addStrike,
+  suspendUser,
+  unsuspendUser,
+} = require("../utils/moderation");
+
+// Handlers below are mounted in routes/moderation.js behind auth + authorize('moderator', 'admin'),
+// so req.user.role is 'moderator' or 'admin'.
+
+const isId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const populateReport = (target) =>
+  target.populate([
+    { path: "reporter", select: "username avatar" },
+    { path: "targetOwner", select: "username avatar role" },
+    { path: "moderator", select: "username" },
+  ]);
+
+// Helper: moderators may not strike or suspend other staff; admins may.
+// Responds 403 and returns false when not allowed.
+async function mayActOn(req, res, userId) {
+  if (req.user.role === "admin") return true;
+  const target = await User.findById(userId).select("role");
+  if (target && target.role !== "user") {
+    res.status(403).json({ msg: "Only admins can act on moderator or admin accounts" });
+    return false;
+  }
+  return true;
+}
+
+// -------------------------
+// GET the moderation queue (?status=open|actioned|dismissed&targetType=&before=&after=&limit=)
+// Open reports come oldest first, resolved ones newest first.
+// -------------------------
+exports.getReports = async (req, res) => {
+  try {
+    const status = req.query.status || "open";
+    if (!Report.STATUSES.includes(status)) {
+      return res.status(400).json({ msg: `status must be one of: ${Report.STATUSES.join(", ")}` });
+    }
+
+    const filter = { status };
+    if (req.query.targetType) {
+      if (!Report.TARGET_TYPES.includes(req.query.targetType)) {
+        return res.status(400).json({ msg: `targetType must be one of: ${Report.TARGET_TYPES.join(", ")}` });
+      }
+      filter.targetType = req.query.targetType;
+    }
+
+    const queue = status === "open" ? { order: "asc", start: "oldest" } : {};
+    const { items, hasMore, cursors } = await paginate(Report, filter, req.query, {
+      ...queue,
+      build: (q) => populateReport(q).lean(),
+    });
+
+    res.json({ hasMore, reports: items, cursors });
+  } catch (err) {
+    console.error("❌ Error in getReports:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// GET one report with the reported content and how many open reports the item has
+// -------------------------
+exports.getReport = async (req, res) => {
+  try {
+    const report = isId(req.params.id) ? await populateReport(Report.findById(req.params.id)).lean() : null;
+    if (!report) return res.status(404).json({ msg: "Report not found" });
+
+    const found = await loadTarget(report.targetType, report.target);
+    const openReports = await Report.countDocuments({
+      targetType: report.targetType,
+      target: report.target,
+      status: "open",
+    });
+
+    res.json({ ...report, content: found ? found.target : null, openReports });
+  } catch (err) {
+    console.error("❌ Error in getReport:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// RESOLVE a report: body { status: 'actioned'|'dismissed', actions?: ['hide','strike','suspend'], days?, note? }
+// Actions hit the reported item / its owner; every open report on the same item is closed with it.
+// -------------------------
+exports.resolveReport = async (req, res) => {
+  try {
+    const report = isId(req.params.id) ? await Report.findById(req.params.id) : null;
+    if (!report) return res.status(404).json({ msg: "Report not found" });
+    if (report.status !== "open") return res.status(409).json({ msg: `Report already ${report.status}` });
+
+    const { status } = req.body;
+    const actions = [...new Set(Array.isArray(req.body.actions) ? req.body.actions : [])];
+    const note = typeof req.body.note === "string" ? req.body.note.trim().slice(0, 1000) : "";
+
+    if (!["actioned", "dismissed"].includes(status)) {
+      return res.status(400).json({ msg: "status must be actioned or dismissed" });
+    }
+    if (actions.some((a) => !Report.ACTIONS.includes(a))) {
+      return res.status(400).json({ msg: `actions must be among: ${Report.ACTIONS.join(", ")}` });
+    }
+    if (status === "actioned" && actions.length === 0) {
+      return res.status(400).json({ msg: "An actioned report needs at least one action" });
+    }
+    if (status === "dismissed" && actions.length) {
+      return res.status(400).json({ msg: "A dismissed report takes no actions" });
+    }
+    if (actions.includes("hide") && !HIDEABLE_TYPES.includes(report.targetType)) {
+      return res.status(400).json({ msg: "Accounts cannot be hidden, suspend them instead" });
+    }
+    const touchesOwner = actions.includes("strike") || actions.includes("suspend");
+    if (touchesOwner && !report.targetOwner) {
+      return res.status(400).json({ msg: "The reported item has no owner to act on" });
+    }
+    if (touchesOwner && !(await mayActOn(req, res, report.targetOwner))) return;
+
+    const io = req.app.get("io");
+    if (actions.includes("hide")) await setHidden(report.targetType, report.target, true);
+    if (actions.includes("strike")) {
+      await addStrike(io, report.targetOwner, { reason: report.reason, report: report._id, moderator: req.user.id });
+    }
+    if (actions.includes("suspend")) {
+      await suspendUser(io, report.targetOwner, { days: req.body.days, reason: note || report.reason });
+    }
+
+    const resolution = { status, actions, moderator: req.user.id, note, resolvedAt: new Date() };
+    await Report.updateMany(
+      { targetType: report.targetType, target: report.target, status: "open" },
+      { $set: resolution }
+    );
+
+    res.json(await populateReport(Report.findById(report._id)).lean());
+  } catch (err) {
+    console.error("❌ Error in resolveReport:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// HIDE / UNHIDE a post, comment or message directly (/content/:type/:id/hide)
+// -------------------------
+function hideHandler(hidden) {
+  return async (req, res) => {
+    try {
+      const { type, id } = req.params;
+      if (!HIDEABLE_TYPES.includes(type)) {
+        return res.status(400).json({ msg: `type must be one of: ${HIDEABLE_TYPES.join(", ")}` });
+      }
+      if (!(await setHidden(type, id, hidden))) return res.status(404).json({ msg: "Content not found" });
+
+      res.json({ type, id, hidden });
+    } catch (err) {
+      console.error(`❌ Error in ${hidden ? "hideContent" : "unhideContent"}:`, err.message);
+      res.status(500).json({ msg: err.message || "Server error" });
+    }
+  };
+}
+
+exports.hideContent = hideHandler(true);
+exports.unhideContent = hideHandler(false);
+
+// -------------------------
+// STRIKE an account: body { reason? }
+// -------------------------
+exports.strikeUser = async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(404).json({ msg: "User not found" });
+    if (!(await mayActOn(req, res, req.params.id))) return;
+
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim().slice(0, 500) : "";
+    const strikes = await addStrike(req.app.get("io"), req.params.id, { reason, moderator: req.user.id });
+    if (strikes === null) return res.status(404).json({ msg: "User not found" });
+
+    res.json({ userId: req.params.id, strikes });
+  } catch (err) {
+    console.error("❌ Error in strikeUser:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// SUSPEND an account: body { days?, reason? } — no days = until lifted
+// -------------------------
+exports.suspendAccount = async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(404).json({ msg: "User not found" });
+    if (req.params.id === req.user.id) return res.status(400).json({ msg: "You cannot suspend yourself" });
+    if (!(await mayActOn(req, res, req.params.id))) return;
+
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim().slice(0, 500) : "";
+    const user = await suspendUser(req.app.get("io"), req.params.id, { days: req.body.days, reason });
+    if (!user) return res.status(404).json({ msg: "User not found" });
+
+    res.json(user);
+  } catch (err) {
+    console.error("❌ Error in suspendAccount:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// LIFT a suspension
+// -------------------------
+exports.unsuspendAccount = async (req, res) => {
+  try {
+    const user = isId(req.params.id) ? await unsuspendUser(req.params.id) : null;
+    if (!user) return res.status(404).json({ msg: "User not found" });
+
+    res.json(user);
+  } catch (err) {
+    console.error("❌ Error in unsuspendAccount:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
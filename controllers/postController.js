@@ -1,34 +1,194 @@
+const mongoose = require("mongoose");
 const Post = require("../models/Post"); 
 const User = require("../models/User");
+const { paginate, parseLimit, encodeCursor } = require("../utils/pagination");
+const { extractHashtags, normalizeTag } = require("../utils/text");
+const { resolveMentions, notifyMentions } = require("../utils/mentions");
+const { populateFeed, decoratePosts, decoratePost } = require("../utils/feed");
+const { listLikers } = require("../utils/likers");
+const { removePostData, deletePostCascade } = require("../utils/cleanup");
+const { notify } = require("../socket/notify");
+const { viewerScope, visibleFilter, canViewPost, hideOriginals } = require("../utils/visibility");
 
 
+// -------------------------
+// Shared feed pagination.
+// - `before` / `after` cursor => keyset page, no count: { posts, hasMore, cursors }
+// - otherwise legacy `page` => { total, page, totalPages, hasMore, posts, cursors }
+// Posts carry `commentCount` + `commentPreview` (utils/feed.js), not the full thread.
+// Authors the viewer blocked or muted, who blocked the viewer, or who are private and not followed
+// are left out (utils/visibility.js).
+// -------------------------
+async function sendPostPage(req, res, filter) {
+  const scope = await viewerScope(req.user.id);
+  filter = visibleFilter(filter, scope);
+
+  if (req.query.before || req.query.after) {
+    const { items, hasMore, cursors } = await paginate(Post, filter, req.query, { build: populateFeed });
+    const posts = hideOriginals(await decoratePosts(items, req.user.id), scope);
+    return res.json({ hasMore, posts, cursors });
+  }
+
+  let { page = 1, limit = 10 } = req.query;
+  page = parseInt(page) || 1;
+  limit = parseLimit(limit);
+  const skip = (page - 1) * limit;
+
+  const total = await Post.countDocuments(filter);
+  const docs = await populateFeed(
+    Post.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit)
+  );
+  const decorated = await decoratePosts(docs, req.user.id);
+
+  const totalPages = Math.ceil(total / limit);
+  const hasMore = page < totalPages;
+  const cursors = {
+    before: encodeCursor(decorated[decorated.length - 1]),
+    after: encodeCursor(decorated[0]),
+  };
+
+  res.json({ total, page, totalPages, hasMore, posts: hideOriginals(decorated, scope), cursors });
+}
+
+// -------------------------
 // GET all posts (latest first, with user info) + PAGINATION
 // -------------------------
 exports.getPosts = async (req, res) => {
   try {
-    let { page = 1, limit = 10 } = req.query;
-    page = parseInt(page);
-    limit = parseInt(limit);
-    const skip = (page - 1) * limit;
-
-    const total = await Post.countDocuments();
-    const posts = await Post.find()
-      .populate("user", "username avatar")
-      .populate("comments.user", "username avatar")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const totalPages = Math.ceil(total / limit);
-    const hasMore = page < totalPages;
-
-    res.json({ total, page, totalPages, hasMore, posts });
+    await sendPostPage(req, res, {});
   } catch (err) {
     console.error("❌ Error in getPosts:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// GET following feed (people I follow + my own posts) + PAGINATION
+// -------------------------
+exports.getFollowingPosts = async (req, res) => {
+  try {
+    const me = await User.findById(req.user.id).select("following");
+    if (!me) return res.status(404).json({ msg: "User not found" });
+
+    await sendPostPage(req, res, { user: { $in: [...me.following, me._id] } });
+  } catch (err) {
+    console.error("❌ Error in getFollowingPosts:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// GET posts under a hashtag (newest first) + PAGINATION
+// -------------------------
+exports.getTagPosts = async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) return res.status(400).json({ msg: "Invalid tag" });
+
+    await sendPostPage(req, res, { tags: tag });
+  } catch (err) {
+    console.error("❌ Error in getTagPosts:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// GET trending tags over a sliding window (?sort=trending&hours=24&limit=10)
+// Each use is weighted by how recent it is (1 = now, ~0 = window start),
+// so a tag that is picking up now outranks one that peaked hours ago.
+// Only public, visible posts count, like the global feed.
+// -------------------------
+exports.getTrendingTags = async (req, res) => {
+  try {
+    if (req.query.sort && req.query.sort !== "trending") {
+      return res.status(400).json({ msg: "Tags can only be sorted by trending" });
+    }
+    const hours = Math.min(Math.max(parseInt(req.query.hours) || 24, 1), 24 * 7);
+    const limit = parseLimit(req.query.limit);
+    const now = Date.now();
+    const windowMs = hours * 60 * 60 * 1000;
+    const since = new Date(now - windowMs);
+
+    const trending = await Post.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: since },
+          "tags.0": { $exists: true },
+          repostOf: null,
+          hidden: { $ne: true },
+          authorPrivate: { $ne: true },
+        },
+      },
+      { $project: { tags: 1, user: 1, createdAt: 1 } },
+      { $unwind: "$tags" },
+      {
+        $group: {
+          _id: "$tags",
+          count: { $sum: 1 },
+          users: { $addToSet: "$user" },
+          lastUsedAt: { $max: "$createdAt" },
+          score: {
+            $sum: { $divide: [{ $subtract: ["$createdAt", since] }, windowMs] },
+          },
+        },
+      },
+      { $sort: { score: -1, count: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          tag: "$_id",
+          count: 1,
+          users: { $size: "$users" },
+          lastUsedAt: 1,
+          score: { $round: ["$score", 3] },
+        },
+      },
+    ]);
+
+    res.json({ hours, since, tags: trending });
+  } catch (err) {
+    console.error("❌ Error in getTrendingTags:", err.message);
     res.status(500).json({ msg: err.message || "Server error" });
   }
 };
 
+// Helper: the post a repost / quote should point at. Reposts resolve to their original,
+// so chains never form. Returns null when missing (or the original is gone).
+async function findOriginal(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const post = await Post.findById(id);
+  if (!post || !post.repostOf) return post;
+  return Post.findById(post.repostOf);
+}
+
+// Helper: copied onto new posts as `authorPrivate` (utils/visibility.js)
+async function authorIsPrivate(userId) {
+  return Boolean(await User.exists({ _id: userId, isPrivate: true }));
+}
+
+// Helper: save a post with text/image from the request (plus `extra` fields) and send it
+async function savePost(req, extra = {}) {
+  const text = req.body.text || "";
+  const mentioned = await resolveMentions(text, req.user.id);
+  const newPost = new Post({
+    user: req.user.id,
+    authorPrivate: await authorIsPrivate(req.user.id),
+    text,
+    image: req.file?.path || "",
+    tags: extractHashtags(text),
+    mentions: mentioned.map((u) => u._id),
+    ...extra,
+  });
+
+  const post = await newPost.save();
+  await populateFeed(post);
+
+  await notifyMentions(req, mentioned, [], post._id, text);
+
+  return post;
+}
+
 // -------------------------
 // CREATE a new post
 // -------------------------
@@ -38,19 +198,104 @@ exports.createPost = async (req, res) => {
       return res.status(401).json({ msg: "No user found in token" });
     }
 
-    const newPost = new Post({
+    const post = await savePost(req);
+    res.json(await decoratePost(post, req.user.id));
+  } catch (err) {
+    console.error("❌ Error in createPost:", err);
+    res.status(500).json({ msg: "Server error", error: err.message || String(err) });
+  }
+};
+
+// -------------------------
+// QUOTE a post: my text/image with the original embedded
+// -------------------------
+exports.quotePost = async (req, res) => {
+  try {
+    const original = await findOriginal(req.params.id);
+    if (!original || !(await canViewPost(req.user.id, original))) {
+      return res.status(404).json({ msg: "Post not found" });
+    }
+
+    if (!String(req.body.text || "").trim() && !req.file) {
+      return res.status(400).json({ msg: "A quote needs text or an image" });
+    }
+
+    const post = await savePost(req, { quoteOf: original._id });
+    await Post.updateOne({ _id: original._id }, { $inc: { quoteCount: 1 } });
+
+    const me = await User.findById(req.user.id).select("username");
+    await notify(req.app.get("io"), {
+      type: "quote",
+      toUsername: post.quoteOf?.user?.username,
+      fromUsername: me?.username,
+      postId: post._id,
+      message: post.text.slice(0, 100),
+    });
+
+    res.status(201).json(await decoratePost(post, req.user.id));
+  } catch (err) {
+    console.error("❌ Error in quotePost:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// REPOST a post into my followers' feeds (once per post)
+// -------------------------
+exports.repostPost = async (req, res) => {
+  try {
+    const original = await findOriginal(req.params.id);
+    if (!original || !(await canViewPost(req.user.id, original))) {
+      return res.status(404).json({ msg: "Post not found" });
+    }
+
+    if (await Post.exists({ repostOf: original._id, user: req.user.id })) {
+      return res.status(409).json({ msg: "Already reposted" });
+    }
+
+    const repost = await Post.create({
       user: req.user.id,
-      text: req.body.text || "",
-      image: req.file?.path || "",
+      authorPrivate: await authorIsPrivate(req.user.id),
+      repostOf: original._id,
+    });
+    await Post.updateOne({ _id: original._id }, { $inc: { repostCount: 1 } });
+    await populateFeed(repost);
+
+    const me = await User.findById(req.user.id).select("username");
+    await notify(req.app.get("io"), {
+      type: "repost",
+      toUsername: repost.repostOf?.user?.username,
+      fromUsername: me?.username,
+      postId: original._id,
     });
 
-    const post = await newPost.save();
-    await post.populate("user", "username avatar");
+    res.status(201).json(await decoratePost(repost, req.user.id));
+  } catch (err) {
+    // lost a race against a concurrent repost (unique index)
+    if (err.code === 11000) return res.status(409).json({ msg: "Already reposted" });
+    console.error("❌ Error in repostPost:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// UNDO my repost of a post
+// -------------------------
+exports.undoRepost = async (req, res) => {
+  try {
+    const original = await findOriginal(req.params.id);
+    if (!original) return res.status(404).json({ msg: "Post not found" });
+
+    const repost = await Post.findOneAndDelete({ repostOf: original._id, user: req.user.id });
+    if (!repost) return res.status(404).json({ msg: "Not reposted" });
 
-    res.json(post);
+    await removePostData([repost._id]);
+    await Post.updateOne({ _id: original._id }, { $inc: { repostCount: -1 } });
+
+    res.json({ msg: "Repost removed", postId: original._id, repostId: repost._id });
   } catch (err) {
-    console.error("❌ Error in createPost:", err);
-    res.status(500).json({ msg: "Server error", error: err.message || String(err) });
+    console.error("❌ Error in undoRepost:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
   }
 };
 
@@ -59,11 +304,10 @@ exports.createPost = async (req, res) => {
 // -------------------------
 exports.likePost = async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id)
-      .populate("user", "username avatar")
-      .populate("comments.user", "username avatar");
-
-    if (!post) return res.status(404).json({ msg: "Post not found" });
+    const post = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await populateFeed(Post.findById(req.params.id))
+      : null;
+    if (!post || !(await canViewPost(req.user.id, post))) return res.status(404).json({ msg: "Post not found" });
 
     if (post.likes.includes(req.user.id)) {
       post.likes.pull(req.user.id); // Unlike
@@ -72,9 +316,8 @@ exports.likePost = async (req, res) => {
     }
 
     await post.save();
-    await post.populate("comments.user", "username avatar");
 
-    res.json(post);
+    res.json(await decoratePost(post, req.user.id));
   } catch (err) {
     console.error("❌ Error in likePost:", err.message);
     res.status(500).json({ msg: err.message || "Server error" });
@@ -82,28 +325,19 @@ exports.likePost = async (req, res) => {
 };
 
 // -------------------------
-// ADD COMMENT
+// GET who liked a post, people I follow first (?cursor= / ?limit=)
 // -------------------------
-exports.addComment = async (req, res) => {
+exports.getPostLikes = async (req, res) => {
   try {
-    const { text } = req.body;
-    if (!text) return res.status(400).json({ msg: "Comment text is required" });
-
-    let post = await Post.findById(req.params.id);
-    if (!post) return res.status(404).json({ msg: "Post not found" });
+    const post = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Post.findById(req.params.id).select("user hidden likes")
+      : null;
+    if (!post || !(await canViewPost(req.user.id, post))) return res.status(404).json({ msg: "Post not found" });
 
-    post.comments.push({ user: req.user.id, text });
-    await post.save();
-
-    // 🔑 re-fetch to ensure populated + correct text
-    post = await Post.findById(req.params.id)
-      .populate("user", "username avatar")
-      .populate("comments.user", "username avatar");
-
-    res.json(post);
+    res.json(await listLikers(post.likes, req.user.id, req.query));
   } catch (err) {
-    console.error("❌ Error in addComment:", err.message);
-    res.status(500).json({ msg: err.message || "Server error" });
+    console.error("❌ Error in getPostLikes:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
   }
 };
 
@@ -112,31 +346,15 @@ exports.addComment = async (req, res) => {
 // -------------------------
 exports.getUserPosts = async (req, res) => {
   try {
-    let { page = 1, limit = 10 } = req.query;
-    page = parseInt(page);
-    limit = parseInt(limit);
-    const skip = (page - 1) * limit;
-
-    const total = await Post.countDocuments({ user: req.params.id });
-    const posts = await Post.find({ user: req.params.id })
-      .populate("user", "username avatar")
-      .populate("comments.user", "username avatar")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const totalPages = Math.ceil(total / limit);
-    const hasMore = page < totalPages;
-
-    res.json({ total, page, totalPages, hasMore, posts });
+    await sendPostPage(req, res, { user: req.params.id });
   } catch (err) {
     console.error("❌ Error in getUserPosts:", err.message);
-    res.status(500).json({ msg: err.message || "Server error" });
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
   }
 };
 
 // -------------------------
-// DELETE a post
+// DELETE a post (with its reposts, comments, reactions and bookmarks — utils/cleanup.js)
 // -------------------------
 exports.deletePost = async (req, res) => {
   try {
@@ -147,7 +365,8 @@ exports.deletePost = async (req, res) => {
       return res.status(401).json({ msg: "Not authorized" });
     }
 
-    await post.deleteOne();
+    await deletePostCascade(post);
+
     res.json({ msg: "Post removed" });
   } catch (err) {
     console.error("❌ Error in deletePost:", err.message);
@@ -170,11 +389,21 @@ exports.updatePost = async (req, res) => {
       return res.status(401).json({ msg: "Not authorized" });
     }
 
+    if (post.repostOf) {
+      return res.status(400).json({ msg: "Reposts cannot be edited" });
+    }
+
     // track whether any change will be applied
     let changed = false;
+    let mentioned = [];
+    let previousMentions = [];
 
     if (typeof req.body.text !== "undefined") {
       post.text = String(req.body.text || "");
+      post.tags = extractHashtags(post.text);
+      mentioned = await resolveMentions(post.text, req.user.id);
+      previousMentions = [...post.mentions];
+      post.mentions = mentioned.map((u) => u._id);
       changed = true;
     }
 
@@ -205,85 +434,14 @@ exports.updatePost = async (req, res) => {
 
     await post.save();
 
-    await post.populate("user", "username avatar");
-    await post.populate("comments.user", "username avatar");
+    await notifyMentions(req, mentioned, previousMentions, post._id, post.text);
 
-    return res.json(post);
+    await populateFeed(post);
+
+    return res.json(await decoratePost(post, req.user.id));
   } catch (err) {
     console.error("❌ Error in updatePost:", err);
     return res.status(500).json({ msg: err.message || "Server error", error: String(err) });
   }
 };
 
-// -------------------------
-// DELETE a comment
-// -------------------------
-exports.deleteComment = async (req, res) => {
-  try {
-    const { postId, commentId } = req.params;
-
-    const post = await Post.findById(postId);
-    if (!post) return res.status(404).json({ msg: "Post not found" });
-
-    const comment = post.comments.id(commentId);
-    if (!comment) return res.status(404).json({ msg: "Comment not found" });
-
-    // Only owner of comment can delete
-    if (comment.user.toString() !== req.user.id) {
-      return res.status(401).json({ msg: "Not authorized" });
-    }
-
-    // ✅ Correct way: use pull instead of remove
-    post.comments.pull({ _id: commentId });
-    await post.save();
-
-    const updatedPost = await Post.findById(postId)
-      .populate("user", "username avatar")
-      .populate("comments.user", "username avatar");
-
-    res.json(updatedPost);
-  } catch (err) {
-    console.error("❌ Error in deleteComment:", err.message);
-    res.status(500).json({ msg: err.message || "Server error" });
-  }
-};
-
-// -------------------------
-// UPDATE a comment
-// -------------------------
-exports.updateComment = async (req, res) => {
-  try {
-    const { postId, commentId } = req.params;
-    const { text } = req.body;
-
-    if (!text || !text.trim()) {
-      return res.status(400).json({ msg: "Comment text is required" });
-    }
-
-    const post = await Post.findById(postId);
-    if (!post) return res.status(404).json({ msg: "Post not found" });
-
-    const comment = post.comments.id(commentId);
-    if (!comment) return res.status(404).json({ msg: "Comment not found" });
-
-    // Only owner can edit
-    if (comment.user.toString() !== req.user.id) {
-      return res.status(401).json({ msg: "Not authorized" });
-    }
-
-    comment.text = text;
-    comment.edited = true;
-    comment.updatedAt = Date.now();
-
-    await post.save();
-
-    const updatedPost = await Post.findById(postId)
-      .populate("user", "username avatar")
-      .populate("comments.user", "username avatar");
-
-    res.json(updatedPost);
-  } catch (err) {
-    console.error("❌ Error in updateComment:", err.message);
-    res.status(500).json({ msg: err.message || "Server error" });
-  }
-};
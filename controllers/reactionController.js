@@ -0,0 +1,182 @@
+const mongoose = require("mongoose");
+const Reaction = require("../models/Reaction");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const User = require("../models/User");
+const { notify } = require("../socket/notify");
+const { emitToMembers } = require("../socket/groups");
+const { canViewPost, postAudience } = require("../utils/visibility");
+
+// -------------------------
+// Target resolvers: find the reacted item and who should hear about it.
+// Each returns { target, postId, ownerUsername, audience, post } or responds 404/403 and returns null.
+// Messages carry their participants as audience; posts and comments carry the post, whose
+// audience is only looked up when there is something to push (see broadcastReaction).
+// -------------------------
+const isId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const resolvers = {
+  post: async (req, res) => {
+    const post = isId(req.params.id) ? await Post.findById(req.params.id).populate("user", "username") : null;
+    if (!post || !(await canViewPost(req.user.id, post))) {
+      res.status(404).json({ msg: "Post not found" });
+      return null;
+    }
+    return { target: post._id, postId: post._id, ownerUsername: post.user?.username, audience: null, post };
+  },
+
+  comment: async (req, res) => {
+    const { postId, commentId } = req.params;
+    const post = isId(postId) && isId(commentId) ? await Post.findById(postId).select("user hidden") : null;
+    const comment = post && (await canViewPost(req.user.id, post)) ? await Comment.findOne({ _id: commentId, post: postId }) : null;
+    if (!comment) {
+      res.status(404).json({ msg: "Comment not found" });
+      return null;
+    }
+    return { target: comment._id, postId: comment.post, ownerUsername: null, audience: null, post };
+  },
+
+  message: async (req, res, me) => {
+    const message = isId(req.params.id) ? await Message.findById(req.params.id) : null;
+    if (!message || message.unsent || message.deletedFor.includes(me.username)) {
+      res.status(404).json({ msg: "Message not found" });
+      return null;
+    }
+    let audience;
+    if (message.conversation) {
+      const conversation = await Conversation.findById(message.conversation);
+      audience = conversation && conversation.hasMember(me.username) ? conversation.memberUsernames() : null;
+    } else {
+      audience = message.isDirectParticipant(me.username) ? [message.fromUsername, message.toUsername] : null;
+    }
+    if (!audience) {
+      res.status(403).json({ msg: "Not a participant of this conversation" });
+      return null;
+    }
+    return { target: message._id, postId: null, ownerUsername: null, audience, post: null };
+  },
+};
+
+// push the new aggregate to viewers; `mine` is per-viewer so it is left out.
+// Post and comment reactions only reach users who may see the post (plus the reacting user's other devices).
+async function broadcastReaction(io, targetType, resolved, summary, username, emoji) {
+  if (!io) return;
+  const { mine, ...counts } = summary;
+  const payload = { ...counts, postId: resolved.postId, username, emoji };
+  const audience = resolved.audience || [...new Set([...(await postAudience(resolved.post)), username])];
+  emitToMembers(io, audience, "reaction", payload);
+}
+
+// -------------------------
+// Handler factories shared by posts, comments and messages
+// -------------------------
+function react(targetType) {
+  return async (req, res) => {
+    try {
+      const { emoji } = req.body;
+      if (!Reaction.isEmoji(emoji)) return res.status(400).json({ msg: "Reaction must be a single emoji" });
+
+      const me = await User.findById(req.user.id).select("username");
+      if (!me) return res.status(404).json({ msg: "User not found" });
+
+      const resolved = await resolvers[targetType](req, res, me);
+      if (!resolved) return;
+
+      // one reaction per user per item: reacting again replaces the emoji
+      const upsert = () =>
+        Reaction.findOneAndUpdate(
+          { targetType, target: resolved.target, user: me._id },
+          { $set: { emoji, post: targetType === "message" ? null : resolved.postId } },
+          { upsert: true, new: false }
+        );
+      let previous;
+      try {
+        previous = await upsert();
+      } catch (err) {
+        // two first reactions raced on the unique index: the retry updates the winner's document
+        if (err.code !== 11000) throw err;
+        previous = await upsert();
+      }
+
+      const summary = await Reaction.summarize(targetType, resolved.target, me._id);
+      await broadcastReaction(req.app.get("io"), targetType, resolved, summary, me.username, emoji);
+
+      if (targetType === "post" && !previous) {
+        await notify(req.app.get("io"), {
+          type: "reaction",
+          toUsername: resolved.ownerUsername,
+          fromUsername: me.username,
+          postId: resolved.postId,
+          message: emoji,
+        });
+      }
+
+      res.json(summary);
+    } catch (err) {
+      console.error(`❌ Error in react (${targetType}):`, err.message);
+      res.status(500).json({ msg: err.message || "Server error" });
+    }
+  };
+}
+
+function unreact(targetType) {
+  return async (req, res) => {
+    try {
+      const me = await User.findById(req.user.id).select("username");
+      if (!me) return res.status(404).json({ msg: "User not found" });
+
+      const resolved = await resolvers[targetType](req, res, me);
+      if (!resolved) return;
+
+      const removed = await Reaction.findOneAndDelete({ targetType, target: resolved.target, user: me._id });
+
+      const summary = await Reaction.summarize(targetType, resolved.target, me._id);
+      if (removed) await broadcastReaction(req.app.get("io"), targetType, resolved, summary, me.username, null);
+
+      res.json(summary);
+    } catch (err) {
+      console.error(`❌ Error in unreact (${targetType}):`, err.message);
+      res.status(500).json({ msg: err.message || "Server error" });
+    }
+  };
+}
+
+function summary(targetType) {
+  return async (req, res) => {
+    try {
+      const me = await User.findById(req.user.id).select("username");
+      if (!me) return res.status(404).json({ msg: "User not found" });
+
+      const resolved = await resolvers[targetType](req, res, me);
+      if (!resolved) return;
+
+      res.json(await Reaction.summarize(targetType, resolved.target, me._id));
+    } catch (err) {
+      console.error(`❌ Error in reactions summary (${targetType}):`, err.message);
+      res.status(500).json({ msg: err.message || "Server error" });
+    }
+  };
+}
+
+// -------------------------
+// PUT / DELETE / GET  /api/posts/:id/reactions
+// -------------------------
+exports.reactToPost = react("post");
+exports.unreactPost = unreact("post");
+exports.getPostReactions = summary("post");
+
+// -------------------------
+// PUT / DELETE / GET  /api/posts/:postId/comments/:commentId/reactions
+// -------------------------
+exports.reactToComment = react("comment");
+exports.unreactComment = unreact("comment");
+exports.getCommentReactions = summary("comment");
+
+// -------------------------
+// PUT / DELETE / GET  /api/messages/:id/reactions
+// -------------------------
+exports.reactToMessage = react("message");
+exports.unreactMessage = unreact("message");
+exports.getMessageReactions = summary("message");
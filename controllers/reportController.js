@@ -0,0 +1,68 @@
+const Report = require("../models/Report");
+const User = require("../models/User");
+const { paginate } = require("../utils/pagination");
+const { loadTarget, canSeeMessage } = require("../utils/moderation");
+
+// -------------------------
+// REPORT a post, comment, message or account
+// body: { targetType, targetId, reason, details? }
+// -------------------------
+exports.createReport = async (req, res) => {
+  try {
+    const { targetType, targetId, reason } = req.body;
+    const details = typeof req.body.details === "string" ? req.body.details.trim() : "";
+
+    if (!Report.TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ msg: `targetType must be one of: ${Report.TARGET_TYPES.join(", ")}` });
+    }
+    if (!Report.REASONS.includes(reason)) {
+      return res.status(400).json({ msg: `reason must be one of: ${Report.REASONS.join(", ")}` });
+    }
+    if (details.length > 1000) return res.status(400).json({ msg: "Details can be at most 1000 characters" });
+
+    const found = await loadTarget(targetType, targetId);
+    if (!found) return res.status(404).json({ msg: "Reported item not found" });
+
+    if (targetType === "message") {
+      const me = await User.findById(req.user.id).select("username");
+      if (!me || !(await canSeeMessage(found.target, me.username))) {
+        return res.status(404).json({ msg: "Reported item not found" });
+      }
+    }
+
+    if (found.ownerId && found.ownerId.toString() === req.user.id) {
+      return res.status(400).json({ msg: "You cannot report yourself" });
+    }
+
+    const report = await Report.create({
+      reporter: req.user.id,
+      targetType,
+      target: found.target._id,
+      targetOwner: found.ownerId,
+      reason,
+      details,
+    });
+
+    res.status(201).json(report);
+  } catch (err) {
+    // the same reporter already has an open report on this item
+    if (err.code === 11000) return res.status(409).json({ msg: "You already reported this" });
+    console.error("❌ Error in createReport:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// GET my reports and their status, newest first (?before= / ?after= / ?limit=)
+// -------------------------
+exports.getMyReports = async (req, res) => {
+  try {
+    const { items, hasMore, cursors } = await paginate(Report, { reporter: req.user.id }, req.query, {
+      build: (q) => q.select("-moderator -note").lean(),
+    });
+    res.json({ hasMore, reports: items, cursors });
+  } catch (err) {
+    console.error("❌ Error in getMyReports:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
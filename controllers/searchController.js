@@ -0,0 +1,129 @@
+const Post = require("../models/Post");
+const Bookmark = require("../models/Bookmark");
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const { viewerScope, authorConditions } = require("../utils/visibility");
+const { parseLimit, encodeRankCursor, decodeRankCursor } = require("../utils/pagination");
+
+const TYPES = ["all", "posts", "comments", "users"];
+const MAX_QUERY = 100;
+
+// -------------------------
+// Ranked text search on one collection (uses the model's text index).
+// Results are ordered by relevance, ties by _id; `cursor` continues after the last result.
+// `stages` run on every match before paging (e.g. a $lookup + $match on a related document).
+// -------------------------
+async function rankedSearch(Model, q, { cursor, limit, project, filter = {}, stages = [] }) {
+  const pipeline = [
+    { $match: { $text: { $search: q }, ...filter } },
+    { $addFields: { score: { $meta: "textScore" } } },
+    ...stages,
+  ];
+
+  if (cursor) {
+    const position = decodeRankCursor(cursor);
+    if (!position) {
+      const err = new Error("Invalid cursor");
+      err.status = 400;
+      throw err;
+    }
+    pipeline.push({
+      $match: {
+        $or: [
+          { score: { $lt: position.score } },
+          { score: position.score, _id: { $lt: position._id } },
+        ],
+      },
+    });
+  }
+
+  pipeline.push({ $sort: { score: -1, _id: -1 } }, { $limit: limit + 1 });
+  if (project) pipeline.push({ $project: project });
+
+  const results = await Model.aggregate(pipeline);
+  const hasMore = results.length > limit;
+  if (hasMore) results.pop();
+
+  return { results, hasMore, cursor: hasMore ? encodeRankCursor(results[results.length - 1]) : null };
+}
+
+// posts by authors hidden from the viewer (blocked / muted / private, utils/visibility.js) are left out
+async function searchPosts(q, params, viewerId) {
+  const scope = await viewerScope(viewerId);
+  const page = await rankedSearch(Post, q, { ...params, filter: { $and: authorConditions(scope) } });
+  await Post.populate(page.results, [
+    { path: "user", select: "username avatar" },
+    { path: "mentions", select: "username" },
+  ]);
+  await Bookmark.flagPosts(page.results, viewerId);
+  return page;
+}
+
+// each comment carries its post (text + author) so a result can link to it;
+// comments the viewer may not see, or on posts the viewer may not see, are left out
+async function searchComments(q, params, viewerId) {
+  const scope = await viewerScope(viewerId);
+  const page = await rankedSearch(Comment, q, {
+    ...params,
+    filter: { $and: authorConditions(scope) },
+    stages: [
+      {
+        $lookup: {
+          from: Post.collection.name,
+          localField: "post",
+          foreignField: "_id",
+          as: "onPost",
+          pipeline: [{ $project: { user: 1, hidden: 1, authorPrivate: 1 } }],
+        },
+      },
+      { $unwind: "$onPost" },
+      { $match: { $and: authorConditions(scope, "onPost.") } },
+      { $project: { onPost: 0 } },
+    ],
+  });
+  await Comment.populate(page.results, [
+    { path: "user", select: "username avatar" },
+    { path: "post", select: "text image user", populate: { path: "user", select: "username avatar" } },
+  ]);
+  return page;
+}
+
+// accounts the viewer blocked or that blocked the viewer are left out; muted ones stay findable
+async function searchUsers(q, params, viewerId) {
+  const scope = await viewerScope(viewerId);
+  return rankedSearch(User, q, {
+    ...params,
+    filter: { _id: { $nin: scope.blocked } },
+    project: { username: 1, avatar: 1, bio: 1, score: 1 },
+  });
+}
+
+// -------------------------
+// GET /api/search?q=...&type=all|posts|comments|users&limit=10&cursor=...
+// Posts match on post text, comments on comment text, users on username and bio.
+// Response: { q, type, posts?, comments?, users? } — each group is { results, hasMore, cursor }
+// With type=all each group is a first page; page further with a single type and its cursor.
+// -------------------------
+exports.search = async (req, res) => {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim().slice(0, MAX_QUERY) : "";
+    const type = req.query.type || "all";
+    if (!TYPES.includes(type)) {
+      return res.status(400).json({ msg: `type must be one of: ${TYPES.join(", ")}` });
+    }
+    if (!q) return res.json({ q, type });
+
+    const limit = parseLimit(req.query.limit);
+    const cursor = type === "all" ? undefined : req.query.cursor;
+    const response = { q, type };
+
+    if (type === "all" || type === "posts") response.posts = await searchPosts(q, { cursor, limit }, req.user.id);
+    if (type === "all" || type === "comments") response.comments = await searchComments(q, { cursor, limit }, req.user.id);
+    if (type === "all" || type === "users") response.users = await searchUsers(q, { cursor, limit }, req.user.id);
+
+    res.json(response);
+  } catch (err) {
+    console.error("❌ Error in search:", err.message);
+    res.status(err.status || 500).json({ msg: err.message || "Server error" });
+  }
+};
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { suspensionPayload } = require('../middleware/auth');
+const { tooManyRequests } = require('../middleware/rateLimit');
+const { loginLockedFor, recordLoginFailure, clearLoginFailures } = require('../utils/rateLimit');
+const { loginPayload, readChallengeToken } = require('../utils/sessions');
+const {
+  generateSecret,
+  verifyCode,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
+
+const ISSUER = process.env.TOTP_ISSUER || 'VibeStream';
+const RECOVERY_CODE_COUNT = 10;
+
+const SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Helper: check a second factor and use it up — a TOTP code can't be replayed
+ * (its time step must be newer than the last accepted one), a recovery code is removed.
+ * @param {Object} user - User loaded with SECRETS
+ * @param {Object} body - { code } or { recoveryCode }
+ * @returns {Promise<{ method: 'totp'|'recovery', recoveryCodesLeft: Number }|null>} null when rejected
+ */
+async function consumeSecondFactor(user, { code, recoveryCode } = {}) {
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.recoveryCodes': hashed },
+      { $pull: { 'twoFactor.recoveryCodes': hashed } },
+      { new: true }
+    ).select('+twoFactor.recoveryCodes');
+    return updated ? { method: 'recovery', recoveryCodesLeft: updated.twoFactor.recoveryCodes.length } : null;
+  }
+
+  const step = user.twoFactor.secret ? verifyCode(user.twoFactor.secret, code) : null;
+  if (step === null) return null;
+
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.lastUsedStep': { $lt: step } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (result.modifiedCount !== 1) return null;
+  return { method: 'totp', recoveryCodesLeft: user.twoFactor.recoveryCodes.length };
+}
+
+/**
+ * Helper: consumeSecondFactor behind the failed-login lockout (utils/rateLimit.js), so guessing codes
+ * locks out like guessing passwords. Responds 429 / 400 itself and returns null when refused.
+ */
+async function checkSecondFactor(req, res, user, body) {
+  const attempt = { ip: req.ip, account: user.email };
+  const lockedFor = await loginLockedFor(attempt);
+  if (lockedFor) {
+    tooManyRequests(res, lockedFor);
+    return null;
+  }
+
+  const factor = await consumeSecondFactor(user, body);
+  if (!factor) {
+    await recordLoginFailure(attempt);
+    res.status(400).json({ msg: body.recoveryCode ? 'Invalid recovery code' : 'Invalid code' });
+    return null;
+  }
+
+  await clearLoginFailures(attempt);
+  return factor;
+}
+
+// -------------------------
+// SETUP: new secret + otpauth URI for the authenticator app (not active until confirmed)
+// -------------------------
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(`email username ${SECRETS}`);
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+    if (user.twoFactor.enabled) return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({ secret, otpauthUri: otpauthUri({ secret, account: user.email, issuer: ISSUER }) });
+  } catch (err) {
+    console.error("Error in 2fa setup:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// ENABLE: body { code } from the app set up above => recovery codes (shown only now)
+// -------------------------
+exports.enable = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRETS);
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+    if (user.twoFactor.enabled) return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    if (!user.twoFactor.pendingSecret) return res.status(400).json({ msg: 'Start with POST /api/auth/2fa/setup' });
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) return res.status(400).json({ msg: 'Invalid code' });
+
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    res.json({ enabled: true, recoveryCodes });
+  } catch (err) {
+    console.error("Error in 2fa enable:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// DISABLE: body { code } — a current authenticator code
+// -------------------------
+exports.disable = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRETS);
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+    if (!user.twoFactor.enabled) return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+
+    if (!(await checkSecondFactor(req, res, user, { code: req.body.code }))) return;
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null, 'twoFactor.lastUsedStep': 0 },
+        $unset: { 'twoFactor.secret': 1, 'twoFactor.pendingSecret': 1, 'twoFactor.recoveryCodes': 1 }
+      }
+    );
+
+    res.json({ enabled: false });
+  } catch (err) {
+    console.error("Error in 2fa disable:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// NEW RECOVERY CODES: body { code } — the old ones stop working
+// -------------------------
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRETS);
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+    if (!user.twoFactor.enabled) return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+
+    if (!(await checkSecondFactor(req, res, user, { code: req.body.code }))) return;
+
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } });
+
+    res.json({ recoveryCodes });
+  } catch (err) {
+    console.error("Error in 2fa regenerateRecoveryCodes:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
+
+// -------------------------
+// LOGIN step 2: body { challengeToken, code } or { challengeToken, recoveryCode }
+// => the usual login response
+// -------------------------
+exports.verifyLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = challengeToken ? readChallengeToken(challengeToken) : null;
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(401).json({ msg: 'Invalid or expired login challenge' });
+    }
+    if (!code && !recoveryCode) return res.status(400).json({ msg: 'code or recoveryCode is required' });
+
+    const user = await User.findById(userId).select(SECRETS);
+    if (!user || !user.twoFactor.enabled) return res.status(401).json({ msg: 'Invalid or expired login challenge' });
+
+    const factor = await checkSecondFactor(req, res, user, { code, recoveryCode });
+    if (!factor) return;
+
+    if (user.isSuspended()) return res.status(403).json(suspensionPayload(user));
+
+    const payload = await loginPayload(req, user);
+    if (factor.method === 'recovery') payload.recoveryCodesLeft = factor.recoveryCodesLeft;
+    res.json(payload);
+  } catch (err) {
+    console.error("Error in 2fa verifyLogin:", err.message);
+    res.status(500).json({ msg: err.message || "Server error" });
+  }
+};
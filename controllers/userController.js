@@ -1,5 +1,11 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
 const bcrypt = require('bcryptjs');
+const presence = require('../socket/presence');
+const { notify } = require('../socket/notify');
+const { revokeSessions } = require('../utils/sessions');
 
 // ✅ Search users
 exports.searchUsers = async (req, res) => {
@@ -21,7 +27,7 @@ exports.searchUsers = async (req, res) => {
 // ✅ Get user by ID
 exports.getUser = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = await User.findById(req.params.id).select('-password -blocked -muted -followRequests -strikes -twoFactor');
     if (!user) return res.status(404).json({ msg: 'User not found' });
     res.json(user);
   } catch (err) {
@@ -30,6 +36,25 @@ exports.getUser = async (req, res) => {
   }
 };
 
+// ✅ Get presence (online across any device + last seen)
+exports.getPresence = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('username lastSeen');
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+
+    res.json({
+      userId: user.id,
+      username: user.username,
+      online: presence.isOnline(user.username),
+      devices: presence.deviceCount(user.username),
+      lastSeen: user.lastSeen || null,
+    });
+  } catch (err) {
+    console.error("❌ Error in getPresence:", err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
 // ✅ Upload avatar
 exports.uploadAvatar = async (req, res) => {
   try {
@@ -82,7 +107,14 @@ exports.updatePassword = async (req, res) => {
 
     await User.findByIdAndUpdate(req.user.id, { password: hashedPassword });
 
-    res.json({ msg: 'Password updated successfully' });
+    // every other device has to sign in again with the new password
+    const revoked = await revokeSessions(
+      req.app.get('io'),
+      { user: req.user.id, _id: { $ne: req.user.sid } },
+      'password changed'
+    );
+
+    res.json({ msg: 'Password updated successfully', sessionsRevoked: revoked });
   } catch (err) {
     console.error("❌ Error in updatePassword:", err.message);
     res.status(500).json({ msg: 'Failed to update password' });
@@ -90,6 +122,7 @@ exports.updatePassword = async (req, res) => {
 };
 
 // ✅ Follow/unfollow user
+// On a private account a follow becomes a pending request instead (calling again cancels it).
 exports.followUser = async (req, res) => {
   try {
     const targetUser = await User.findById(req.params.id);
@@ -99,6 +132,8 @@ exports.followUser = async (req, res) => {
       return res.status(404).json({ msg: 'User not found' });
     }
 
+    let requested = false;
+
     if (targetUser.followers.includes(req.user.id)) {
       // Unfollow
       targetUser.followers = targetUser.followers.filter(
@@ -107,18 +142,236 @@ exports.followUser = async (req, res) => {
       currentUser.following = currentUser.following.filter(
         (f) => f.toString() !== req.params.id
       );
+    } else if (targetUser.followRequests.includes(req.user.id)) {
+      // Cancel my pending request
+      targetUser.followRequests.pull(req.user.id);
     } else {
-      // Follow
-      targetUser.followers.push(req.user.id);
-      currentUser.following.push(req.params.id);
+      // Follow (not while either side has blocked the other)
+      if (await User.blockedBetween(req.user.id, targetUser._id)) {
+        return res.status(403).json({ msg: 'You cannot follow this user' });
+      }
+      if (targetUser.isPrivate && !targetUser._id.equals(currentUser._id)) {
+        targetUser.followRequests.push(req.user.id);
+        requested = true;
+      } else {
+        targetUser.followers.push(req.user.id);
+        currentUser.following.push(req.params.id);
+      }
     }
 
     await targetUser.save();
     await currentUser.save();
 
-    res.json({ followers: targetUser.followers });
+    if (requested) {
+      await notify(req.app.get('io'), {
+        type: 'follow_request',
+        toUsername: targetUser.username,
+        fromUsername: currentUser.username,
+      });
+    }
+
+    res.json({ followers: targetUser.followers, requested: targetUser.followRequests.includes(req.user.id) });
   } catch (err) {
     console.error("❌ Error in followUser:", err.message);
     res.status(500).json({ msg: 'Failed to follow/unfollow' });
   }
 };
+
+// ✅ Make my account private / public: body { isPrivate }
+// Going public accepts every pending request.
+exports.updatePrivacy = async (req, res) => {
+  try {
+    if (typeof req.body.isPrivate !== 'boolean') {
+      return res.status(400).json({ msg: 'isPrivate must be true or false' });
+    }
+
+    const me = await User.findById(req.user.id).select('isPrivate followRequests');
+    if (!me) return res.status(404).json({ msg: 'User not found' });
+
+    const accepted = req.body.isPrivate ? [] : [...me.followRequests];
+    me.isPrivate = req.body.isPrivate;
+    if (accepted.length) {
+      me.followRequests = [];
+      await User.updateMany({ _id: { $in: accepted } }, { $addToSet: { following: me._id } });
+      await User.updateOne({ _id: me._id }, { $addToSet: { followers: { $each: accepted } } });
+    }
+    await me.save();
+
+    // keep the copies feeds and search filter on in step (utils/visibility.js)
+    await Post.updateMany({ user: me._id }, { $set: { authorPrivate: me.isPrivate } });
+    await Comment.updateMany({ user: me._id }, { $set: { authorPrivate: me.isPrivate } });
+
+    res.json({ isPrivate: me.isPrivate, accepted: accepted.length });
+  } catch (err) {
+    console.error("❌ Error in updatePrivacy:", err.message);
+    res.status(500).json({ msg: 'Failed to update privacy' });
+  }
+};
+
+// ✅ Pending follow requests to me
+exports.getFollowRequests = async (req, res) => {
+  try {
+    const me = await User.findById(req.user.id)
+      .select('followRequests')
+      .populate('followRequests', 'username avatar');
+    if (!me) return res.status(404).json({ msg: 'User not found' });
+
+    res.json(me.followRequests);
+  } catch (err) {
+    console.error("❌ Error in getFollowRequests:", err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// Helper: take a pending request from :id off my list; responds 404 and returns null when there is none
+async function takeFollowRequest(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(404).json({ msg: 'Follow request not found' });
+    return null;
+  }
+
+  const me = await User.findOneAndUpdate(
+    { _id: req.user.id, followRequests: id },
+    { $pull: { followRequests: id } },
+    { new: true }
+  ).select('username followers');
+  const requester = me ? await User.findById(id).select('username') : null;
+  if (!requester) {
+    res.status(404).json({ msg: 'Follow request not found' });
+    return null;
+  }
+
+  return { me, requester };
+}
+
+// ✅ Accept a follow request: the requester now follows me and is told so
+exports.acceptFollowRequest = async (req, res) => {
+  try {
+    const taken = await takeFollowRequest(req, res);
+    if (!taken) return;
+    const { me, requester } = taken;
+
+    await User.updateOne({ _id: me._id }, { $addToSet: { followers: requester._id } });
+    await User.updateOne({ _id: requester._id }, { $addToSet: { following: me._id } });
+
+    await notify(req.app.get('io'), {
+      type: 'follow_accepted',
+      toUsername: requester.username,
+      fromUsername: me.username,
+    });
+
+    res.json({ userId: requester.id, username: requester.username, accepted: true });
+  } catch (err) {
+    console.error("❌ Error in acceptFollowRequest:", err.message);
+    res.status(500).json({ msg: 'Failed to accept follow request' });
+  }
+};
+
+// ✅ Decline a follow request: the requester is told so
+exports.declineFollowRequest = async (req, res) => {
+  try {
+    const taken = await takeFollowRequest(req, res);
+    if (!taken) return;
+    const { me, requester } = taken;
+
+    await notify(req.app.get('io'), {
+      type: 'follow_declined',
+      toUsername: requester.username,
+      fromUsername: me.username,
+    });
+
+    res.json({ userId: requester.id, username: requester.username, accepted: false });
+  } catch (err) {
+    console.error("❌ Error in declineFollowRequest:", err.message);
+    res.status(500).json({ msg: 'Failed to decline follow request' });
+  }
+};
+
+// Helper: add/remove the target in one of my id lists ('blocked' | 'muted')
+async function setRelation(req, res, field, on) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) return res.status(404).json({ msg: 'User not found' });
+  if (id === req.user.id) return res.status(400).json({ msg: `You cannot ${field === 'blocked' ? 'block' : 'mute'} yourself` });
+
+  const target = await User.findById(id).select('username');
+  if (!target) return res.status(404).json({ msg: 'User not found' });
+
+  await User.updateOne({ _id: req.user.id }, on ? { $addToSet: { [field]: id } } : { $pull: { [field]: id } });
+
+  return target;
+}
+
+// ✅ Block user: also removes follow links in both directions
+exports.blockUser = async (req, res) => {
+  try {
+    const target = await setRelation(req, res, 'blocked', true);
+    if (!target) return;
+
+    await User.updateOne(
+      { _id: req.user.id },
+      { $pull: { following: target._id, followers: target._id, followRequests: target._id } }
+    );
+    await User.updateOne(
+      { _id: target._id },
+      { $pull: { following: req.user.id, followers: req.user.id, followRequests: req.user.id } }
+    );
+
+    res.json({ userId: target.id, username: target.username, blocked: true });
+  } catch (err) {
+    console.error("❌ Error in blockUser:", err.message);
+    res.status(500).json({ msg: 'Failed to block user' });
+  }
+};
+
+// ✅ Unblock user (follow links are not restored)
+exports.unblockUser = async (req, res) => {
+  try {
+    const target = await setRelation(req, res, 'blocked', false);
+    if (!target) return;
+    res.json({ userId: target.id, username: target.username, blocked: false });
+  } catch (err) {
+    console.error("❌ Error in unblockUser:", err.message);
+    res.status(500).json({ msg: 'Failed to unblock user' });
+  }
+};
+
+// ✅ Mute user: hides their posts and notifications from me, they are not told
+exports.muteUser = async (req, res) => {
+  try {
+    const target = await setRelation(req, res, 'muted', true);
+    if (!target) return;
+    res.json({ userId: target.id, username: target.username, muted: true });
+  } catch (err) {
+    console.error("❌ Error in muteUser:", err.message);
+    res.status(500).json({ msg: 'Failed to mute user' });
+  }
+};
+
+// ✅ Unmute user
+exports.unmuteUser = async (req, res) => {
+  try {
+    const target = await setRelation(req, res, 'muted', false);
+    if (!target) return;
+    res.json({ userId: target.id, username: target.username, muted: false });
+  } catch (err) {
+    console.error("❌ Error in unmuteUser:", err.message);
+    res.status(500).json({ msg: 'Failed to unmute user' });
+  }
+};
+
+// ✅ My blocked and muted users
+exports.getBlockedAndMuted = async (req, res) => {
+  try {
+    const me = await User.findById(req.user.id)
+      .select('blocked muted')
+      .populate('blocked', 'username avatar')
+      .populate('muted', 'username avatar');
+    if (!me) return res.status(404).json({ msg: 'User not found' });
+
+    res.json({ blocked: me.blocked, muted: me.muted });
+  } catch (err) {
+    console.error("❌ Error in getBlockedAndMuted:", err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
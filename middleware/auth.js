@@ -1,20 +1,79 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
 
-module.exports = function (req, res, next) {
+// Session.lastUsedAt is refreshed at most this often, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Verify a JWT issued by utils/sessions.js and return its payload ({ id, sid, iat, exp }).
+ * Shared by the Express middleware below and the Socket.io handshake (socket/auth.js).
+ * Throws when the token is malformed, forged or expired.
+ */
+function verifyToken(token) {
+  return jwt.verify(token, process.env.JWT_SECRET);
+}
+
+/**
+ * The login session an access token belongs to, if it is still active (not logged out,
+ * revoked or expired). Also records the session as used.
+ * @param {Object} decoded - verified token payload
+ * @returns {Promise<Object|null>} Session document
+ */
+async function activeSession(decoded) {
+  if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) return null;
+
+  const session = await Session.findOne({ _id: decoded.sid, user: decoded.id }).select('revokedAt expiresAt lastUsedAt');
+  if (!session || !session.isActive()) return null;
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+  }
+  return session;
+}
+
+/**
+ * Response body for a suspended account (REST 403, login, socket connect_error data)
+ * @param {Object} user - User document
+ */
+function suspensionPayload(user) {
+  return {
+    msg: 'Account suspended',
+    suspendedUntil: user.suspendedUntil || null,
+    reason: user.suspensionReason || '',
+  };
+}
+
+module.exports = async function (req, res, next) {
   const token = req.header('Authorization')?.split(' ')[1];
   if (!token) return res.status(401).json({ msg: 'No token, authorization denied' });
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = verifyToken(token);
+  } catch (err) {
+    console.error("JWT Error:", err.message);
+    return res.status(401).json({ msg: 'Token is not valid' });
+  }
 
-    // ✅ directly assign the decoded payload
-    req.user = decoded; // { id: "..." }
+  try {
+    // suspended accounts are refused even with a valid token
+    const user = await User.findById(decoded.id).select('role emailVerified suspendedAt suspendedUntil suspensionReason');
+    if (!user) return res.status(401).json({ msg: 'User not found' });
+    if (!(await activeSession(decoded))) return res.status(401).json({ msg: 'Session expired or revoked' });
+    if (user.isSuspended()) return res.status(403).json(suspensionPayload(user));
 
-    // console.log("Decoded JWT:", decoded);
+    // ✅ the decoded payload plus the current role (read from the database, so role changes apply at once)
+    req.user = { ...decoded, role: user.role, emailVerified: user.emailVerified }; // { id, sid, role, emailVerified }
 
     next();
   } catch (err) {
-    console.error("JWT Error:", err.message);
-    res.status(401).json({ msg: 'Token is not valid' });
+    console.error("Auth error:", err.message);
+    res.status(500).json({ msg: 'Server error' });
   }
 };
+
+module.exports.verifyToken = verifyToken;
+module.exports.activeSession = activeSession;
+module.exports.suspensionPayload = suspensionPayload;
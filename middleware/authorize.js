@@ -0,0 +1,13 @@
+/**
+ * Route-level authorization. Runs after middleware/auth.js, which puts the caller's role on req.user.
+ * Usage: router.get('/x', auth, authorize('admin'), handler)
+ * @param {...String} roles - roles allowed through ('user' | 'moderator' | 'admin')
+ */
+module.exports = function authorize(...roles) {
+  return function (req, res, next) {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ msg: 'You do not have permission to do this' });
+    }
+    next();
+  };
+};
@@ -0,0 +1,17 @@
+const User = require('../models/User');
+
+/**
+ * Runs after middleware/auth.js: resolve the caller's username onto req.user.
+ * Chat (messages, conversations, sockets) is keyed by username rather than ObjectId.
+ */
+module.exports = async function (req, res, next) {
+  try {
+    const user = await User.findById(req.user.id).select('username');
+    if (!user) return res.status(401).json({ msg: 'User not found' });
+    req.user.username = user.username;
+    next();
+  } catch (err) {
+    console.error('loadUsername error', err.message);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+};
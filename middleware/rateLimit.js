@@ -0,0 +1,37 @@
+const { consume } = require('../utils/rateLimit');
+
+/**
+ * 429 with a Retry-After header (seconds)
+ * @param {Object} res
+ * @param {Number} retryAfter
+ */
+function tooManyRequests(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ msg: 'Too many requests, please try again later', retryAfter });
+}
+
+/**
+ * Route middleware counting each request against the per-IP and per-account buckets of `action`
+ * (see LIMITS in utils/rateLimit.js).
+ * Usage: router.post('/', auth, rateLimit('post'), handler)
+ * @param {String} action
+ * @param {Object} options - { account(req) => String|null }, defaults to the authenticated user id
+ */
+module.exports = function rateLimit(action, options = {}) {
+  const account = options.account || ((req) => req.user?.id);
+
+  return async function (req, res, next) {
+    let result;
+    try {
+      result = await consume(action, { ip: req.ip, account: account(req) });
+    } catch (err) {
+      // a broken store must not take the API down with it
+      console.warn(`rateLimit(${action}) failed:`, err.message);
+      return next();
+    }
+    if (!result.allowed) return tooManyRequests(res, result.retryAfter);
+    next();
+  };
+};
+
+module.exports.tooManyRequests = tooManyRequests;
@@ -0,0 +1,40 @@
+/**
+ * Restrictions for accounts whose email is not verified yet.
+ * UNVERIFIED_RESTRICTIONS lists the restricted actions, comma separated:
+ *   post     create posts, quotes and reposts
+ *   comment  comment on posts
+ *   message  send direct and group messages (REST and socket)
+ *   follow   follow users
+ * Empty (the default) restricts nothing.
+ */
+function restrictedActions() {
+  return (process.env.UNVERIFIED_RESTRICTIONS || '')
+    .split(',')
+    .map((a) => a.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Is `user` (req.user / socket.user) barred from `action`?
+ * @param {String} action
+ * @param {Object} user - carries emailVerified (middleware/auth.js, socket/auth.js)
+ * @returns {Boolean}
+ */
+function isRestricted(action, user) {
+  return !user.emailVerified && restrictedActions().includes(action);
+}
+
+/**
+ * Route middleware, after middleware/auth.js: router.post('/', auth, requireVerified('post'), handler)
+ * @param {String} action
+ */
+module.exports = function requireVerified(action) {
+  return function (req, res, next) {
+    if (isRestricted(action, req.user)) {
+      return res.status(403).json({ msg: 'Verify your email address to do this', action });
+    }
+    next();
+  };
+};
+
+module.exports.isRestricted = isRestricted;
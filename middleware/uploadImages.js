@@ -0,0 +1,20 @@
+const parser = require('../config/multer'); // Multer + Cloudinary
+const { MAX_ATTACHMENTS, fileToAttachment, destroyAttachments } = require('../utils/attachments');
+
+/**
+ * Multer for chat images (`images[]`, up to MAX_ATTACHMENTS): same Cloudinary pipeline and
+ * file-type filter as posts/avatars. Upload errors become a 400 instead of the global 500.
+ * Run access checks before it; images of a request that still ends in an error are deleted again.
+ */
+module.exports = function uploadImages(req, res, next) {
+  parser.array('images', MAX_ATTACHMENTS)(req, res, (err) => {
+    if (err) {
+      console.error('🔥 Message upload error:', err.message || err);
+      return res.status(400).json({ msg: 'Upload error', error: err.message || String(err) });
+    }
+    res.on('finish', () => {
+      if (res.statusCode >= 400 && req.files?.length) destroyAttachments(req.files.map(fileToAttachment));
+    });
+    next();
+  });
+};
@@ -0,0 +1,55 @@
+// backend/models/Bookmark.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const MAX_COLLECTION_LENGTH = 50;
+
+/**
+ * Bookmark: a post saved for later. Private to `user`, never exposed to the author.
+ * - collectionName: optional named collection ("Recipes", "Read later"); null = unsorted
+ * A post is saved at most once per user; saving it again moves it to another collection.
+ */
+const bookmarkSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    post: { type: Schema.Types.ObjectId, ref: 'Post', required: true },
+    collectionName: { type: String, trim: true, maxlength: MAX_COLLECTION_LENGTH, default: null }
+  },
+  { timestamps: true }
+);
+
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ user: 1, collectionName: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ post: 1 });
+
+/**
+ * Static - set `bookmarked` on each post object for one viewer (single query)
+ * @param {Array<Object>} posts - plain post objects
+ * @param {String} userId - viewer
+ * @returns {Promise<Array<Object>>} the same array
+ */
+bookmarkSchema.statics.flagPosts = async function (posts, userId) {
+  if (!userId || posts.length === 0) return posts;
+  const saved = await this.find({ user: userId, post: { $in: posts.map((p) => p._id) } }).distinct('post');
+  const ids = new Set(saved.map(String));
+  for (const post of posts) post.bookmarked = ids.has(String(post._id));
+  return posts;
+};
+
+/**
+ * Static - a user's collections with their sizes, unsorted bookmarks listed as name null
+ * @param {String} userId
+ * @returns {Promise<Array<{ name: String|null, count: Number, lastSavedAt: Date }>>}
+ */
+bookmarkSchema.statics.collectionsFor = async function (userId) {
+  return this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: '$collectionName', count: { $sum: 1 }, lastSavedAt: { $max: '$createdAt' } } },
+    { $sort: { lastSavedAt: -1 } },
+    { $project: { _id: 0, name: '$_id', count: 1, lastSavedAt: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
+module.exports.MAX_COLLECTION_LENGTH = MAX_COLLECTION_LENGTH;
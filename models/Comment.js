@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Comments live in their own collection (they used to be embedded in Post.comments).
+// - parent: the comment this one replies to (null for top-level comments)
+// - ancestors: every comment above this one, root first, so a thread can be removed in one query
+const CommentSchema = new mongoose.Schema(
+  {
+    post: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: "Comment", default: null },
+    ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: "Comment" }],
+    text: { type: String, required: true },
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // resolved @mentions
+    edited: { type: Boolean, default: false },
+    likes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    hidden: { type: Boolean, default: false }, // hidden by a moderator (models/Report.js)
+    authorPrivate: { type: Boolean, default: false }, // copy of the author's isPrivate (utils/visibility.js)
+    replyCount: { type: Number, default: 0 }, // direct replies
+  },
+  { timestamps: true }
+);
+
+// Top-level comments of a post / replies to a comment, paged by createdAt + _id
+CommentSchema.index({ post: 1, parent: 1, createdAt: -1, _id: -1 });
+CommentSchema.index({ parent: 1, createdAt: 1, _id: 1 });
+CommentSchema.index({ ancestors: 1 });
+
+// Full-text search over comment text (see controllers/searchController.js)
+CommentSchema.index({ text: "text" }, { name: "comment_text_search" });
+
+module.exports = mongoose.model("Comment", CommentSchema);
@@ -0,0 +1,137 @@
+// backend/models/Conversation.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const MAX_MEMBERS = 50;
+
+/**
+ * Group member
+ * - username: members are stored by username, like Message.fromUsername/toUsername
+ * - unread: messages posted since the member last read the conversation
+ */
+const memberSchema = new Schema(
+  {
+    username: { type: String, required: true, trim: true },
+    unread: { type: Number, default: 0 },
+    lastReadAt: { type: Date, default: null },
+    joinedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+/**
+ * Group conversation. Direct (one-to-one) threads stay plain Message documents
+ * keyed by fromUsername/toUsername; group messages carry `conversation`.
+ */
+const conversationSchema = new Schema(
+  {
+    title: { type: String, required: true, trim: true, maxlength: 100 },
+    admin: { type: String, required: true, trim: true }, // username of the admin
+    members: {
+      type: [memberSchema],
+      validate: [(v) => v.length <= MAX_MEMBERS, `A group can have at most ${MAX_MEMBERS} members`]
+    },
+
+    // denormalized preview for the inbox
+    lastMessage: {
+      text: { type: String, default: '' },
+      fromUsername: { type: String, default: '' },
+      createdAt: { type: Date, default: null }
+    },
+    lastMessageAt: { type: Date, default: Date.now }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true, transform: docToJson },
+    toObject: { virtuals: true }
+  }
+);
+
+conversationSchema.index({ 'members.username': 1, lastMessageAt: -1 });
+
+// same JSON shape as Message
+function docToJson(doc, ret) {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+}
+
+/**
+ * Instance helper: is username a current member?
+ * @param {String} username
+ */
+conversationSchema.methods.hasMember = function (username) {
+  return this.members.some((m) => m.username === username);
+};
+
+/**
+ * Instance helper: member usernames
+ * @returns {Array<String>}
+ */
+conversationSchema.methods.memberUsernames = function () {
+  return this.members.map((m) => m.username);
+};
+
+/**
+ * Static - record a new message: refresh the inbox preview and bump every other member's unread count
+ * @param {ObjectId} conversationId
+ * @param {Object} message - saved Message document
+ */
+conversationSchema.statics.recordMessage = async function (conversationId, message) {
+  return this.updateOne(
+    { _id: conversationId },
+    {
+      $set: {
+        lastMessage: { text: message.text || '', fromUsername: message.fromUsername, createdAt: message.createdAt },
+        lastMessageAt: message.createdAt
+      },
+      $inc: { 'members.$[other].unread': 1 }
+    },
+    { arrayFilters: [{ 'other.username': { $ne: message.fromUsername } }] }
+  );
+};
+
+/**
+ * Static - reset a member's unread count
+ * @param {ObjectId} conversationId
+ * @param {String} username
+ */
+conversationSchema.statics.markRead = async function (conversationId, username) {
+  return this.updateOne(
+    { _id: conversationId, 'members.username': username },
+    { $set: { 'members.$.unread': 0, 'members.$.lastReadAt': new Date() } }
+  );
+};
+
+/**
+ * Static - groups a username belongs to, shaped like inbox rows (see Message.getRecentConversations)
+ * @param {String} username
+ * @param {Object} options - { limit = 50 }
+ */
+conversationSchema.statics.getInbox = async function (username, options = {}) {
+  const { limit = 50 } = options;
+
+  const groups = await this.find({ 'members.username': username })
+    .sort({ lastMessageAt: -1 })
+    .limit(Number(limit) || 50)
+    .lean();
+
+  return groups.map((g) => {
+    const me = g.members.find((m) => m.username === username);
+    return {
+      type: 'group',
+      conversationId: g._id,
+      title: g.title,
+      admin: g.admin,
+      members: g.members.map((m) => m.username),
+      text: g.lastMessage?.text || '',
+      fromUsername: g.lastMessage?.fromUsername || '',
+      createdAt: g.lastMessage?.createdAt || g.createdAt,
+      unread: me ? me.unread : 0
+    };
+  });
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
+module.exports.MAX_MEMBERS = MAX_MEMBERS;
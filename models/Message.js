@@ -1,22 +1,73 @@
 // backend/models/Message.js
 const mongoose = require('mongoose');
+const { paginate } = require('../utils/pagination');
+const Conversation = require('./Conversation');
+const { MAX_ATTACHMENTS } = require('../utils/attachments');
+
+// Image attachment metadata (Cloudinary)
+const attachmentSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    publicId: { type: String, required: true },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+    mimeType: { type: String, required: true },
+    size: { type: Number, default: null }
+  },
+  { _id: false }
+);
 
 const messageSchema = new mongoose.Schema(
   {
     // store usernames as strings to avoid ObjectId casting issues
     fromUsername: { type: String, required: true, trim: true, index: true },
-    toUsername: { type: String, required: true, trim: true, index: true },
+    // direct messages only; group messages are addressed to `conversation` instead
+    toUsername: {
+      type: String,
+      trim: true,
+      index: true,
+      required: function () { return !this.conversation; }
+    },
+
+    // group conversation this message belongs to (null for direct messages)
+    conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', default: null },
 
-    // message text
+    // message text (optional when the message carries attachments: a caption)
     text: {
       type: String,
-      required: true,
       trim: true,
-      maxlength: 2000 // reasonable safety cap
+      default: '',
+      maxlength: 2000, // reasonable safety cap
+      required: function () { return !this.unsent && !(this.attachments && this.attachments.length); }
+    },
+
+    // uploaded images (see utils/attachments.js)
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+      validate: [(v) => v.length <= MAX_ATTACHMENTS, `At most ${MAX_ATTACHMENTS} attachments per message`]
     },
 
     // whether recipient has read the message
-    read: { type: Boolean, default: false }
+    read: { type: Boolean, default: false },
+
+    // receipts: when the message reached one of the recipient's devices / was read
+    deliveredAt: { type: Date, default: null },
+    readAt: { type: Date, default: null },
+
+    // per-message edits, like Post.edited
+    edited: { type: Boolean, default: false },
+    editedAt: { type: Date, default: null },
+
+    // "unsend for everyone": content is cleared, the message stays as a placeholder
+    unsent: { type: Boolean, default: false },
+    unsentAt: { type: Date, default: null },
+
+    // "delete for me": usernames this message is hidden from
+    deletedFor: { type: [String], default: [] },
+
+    // hidden from everyone by a moderator (models/Report.js)
+    hidden: { type: Boolean, default: false }
   },
   {
     timestamps: true, // createdAt, updatedAt
@@ -26,8 +77,12 @@ const messageSchema = new mongoose.Schema(
 );
 
 // Compound index to accelerate conversation queries and ordering by time
-messageSchema.index({ fromUsername: 1, toUsername: 1, createdAt: 1 });
-messageSchema.index({ toUsername: 1, fromUsername: 1, createdAt: 1 });
+messageSchema.index({ fromUsername: 1, toUsername: 1, createdAt: 1, _id: 1 });
+messageSchema.index({ toUsername: 1, fromUsername: 1, createdAt: 1, _id: 1 });
+// Group history, ordered by time
+messageSchema.index({ conversation: 1, createdAt: 1, _id: 1 });
+// Pending delivery lookups when a recipient connects
+messageSchema.index({ toUsername: 1, deliveredAt: 1 });
 
 // helper transform to produce a cleaner JSON payload for clients
 function docToJson(doc, ret) {
@@ -39,31 +94,60 @@ function docToJson(doc, ret) {
 }
 
 /**
- * Static - fetch conversation between two usernames, sorted ascending by createdAt by default
+ * Static - fetch one page of the conversation between two usernames, sorted ascending by createdAt.
+ * Without a cursor the latest `limit` messages are returned; pass `before` to load older
+ * history (scrolling up) or `after` to catch up on newer messages.
  * @param {String} userA
  * @param {String} userB
- * @param {Object} options - { limit = 100, skip = 0, sort = 'asc' }
- * @returns {Promise<Array>}
+ * @param {Object} options - { limit = 50, before, after, viewer } — messages `viewer` deleted for themselves are skipped
+ * @returns {Promise<{ messages: Array, hasMore: Boolean, cursors: { before, after } }>}
  */
 messageSchema.statics.getConversation = async function (userA, userB, options = {}) {
-  const { limit = 100, skip = 0, sort = 'asc' } = options;
-  const order = sort === 'asc' ? 1 : -1;
+  const { limit = 50, before, after, viewer } = options;
 
-  return this.find({
+  const filter = {
     $or: [
       { fromUsername: userA, toUsername: userB },
       { fromUsername: userB, toUsername: userA }
-    ]
-  })
-    .sort({ createdAt: order })
-    .skip(Number(skip) || 0)
-    .limit(Number(limit) || 100)
-    .lean();
+    ],
+    hidden: { $ne: true }
+  };
+  if (viewer) filter.deletedFor = { $ne: viewer };
+
+  const { items, hasMore, cursors } = await paginate(this, filter, { limit, before, after }, {
+    order: 'asc',
+    defaultLimit: 50,
+    build: (query) => query.lean()
+  });
+
+  return { messages: items, hasMore, cursors };
 };
 
 /**
- * Static - get recent conversations involving a username (one message per peer)
- * This is a lightweight helper (returns latest message per other user).
+ * Static - fetch one page of a group conversation, same paging rules as getConversation
+ * @param {ObjectId} conversationId
+ * @param {Object} options - { limit = 50, before, after, viewer }
+ * @returns {Promise<{ messages: Array, hasMore: Boolean, cursors: { before, after } }>}
+ */
+messageSchema.statics.getGroupMessages = async function (conversationId, options = {}) {
+  const { limit = 50, before, after, viewer } = options;
+
+  const filter = { conversation: conversationId, hidden: { $ne: true } };
+  if (viewer) filter.deletedFor = { $ne: viewer };
+
+  const { items, hasMore, cursors } = await paginate(this, filter, { limit, before, after }, {
+    order: 'asc',
+    defaultLimit: 50,
+    build: (query) => query.lean()
+  });
+
+  return { messages: items, hasMore, cursors };
+};
+
+/**
+ * Static - get recent conversations involving a username
+ * Direct threads: latest message per other user, with `type: 'direct'` and the caller's unread count.
+ * Group threads: see Conversation.getInbox (`type: 'group'`).
  * @param {String} username
  * @param {Object} options - { limit = 50 }
  */
@@ -74,6 +158,9 @@ messageSchema.statics.getRecentConversations = async function (username, options
   const pipeline = [
     {
       $match: {
+        conversation: null,
+        deletedFor: { $ne: username },
+        hidden: { $ne: true },
         $or: [{ fromUsername: username }, { toUsername: username }]
       }
     },
@@ -83,6 +170,8 @@ messageSchema.statics.getRecentConversations = async function (username, options
           $cond: [{ $eq: ['$fromUsername', username] }, '$toUsername', '$fromUsername']
         },
         text: 1,
+        attachments: 1,
+        unsent: 1,
         read: 1,
         createdAt: 1,
         fromUsername: 1,
@@ -93,27 +182,87 @@ messageSchema.statics.getRecentConversations = async function (username, options
     {
       $group: {
         _id: '$otherUser',
-        lastMessage: { $first: '$$ROOT' }
+        lastMessage: { $first: '$$ROOT' },
+        unread: {
+          $sum: {
+            $cond: [{ $and: [{ $eq: ['$toUsername', username] }, { $eq: ['$read', false] }] }, 1, 0]
+          }
+        }
       }
     },
-    { $replaceRoot: { newRoot: '$lastMessage' } },
+    { $replaceRoot: { newRoot: { $mergeObjects: ['$lastMessage', { type: 'direct', unread: '$unread' }] } } },
     { $sort: { createdAt: -1 } },
     { $limit: Number(limit) || 50 }
   ];
 
-  return this.aggregate(pipeline);
+  // one inbox: direct threads + group conversations, newest activity first
+  const [direct, groups] = await Promise.all([
+    this.aggregate(pipeline),
+    Conversation.getInbox(username, { limit })
+  ]);
+
+  return [...direct, ...groups]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, Number(limit) || 50);
 };
 
 /**
  * Static - mark messages from peer -> username as read
  * @param {String} username - the user marking messages as read (recipient)
  * @param {String} peer - the other participant (sender)
+ * @returns {Promise<{ messageIds: Array, readAt: Date }>} the messages that changed, for read receipts
  */
 messageSchema.statics.markAsRead = async function (username, peer) {
-  return this.updateMany(
-    { fromUsername: peer, toUsername: username, read: false },
-    { $set: { read: true } }
+  const readAt = new Date();
+  const unread = await this.find({ fromUsername: peer, toUsername: username, read: false }).select('_id').lean();
+  const messageIds = unread.map((m) => m._id);
+  if (messageIds.length === 0) return { messageIds, readAt };
+
+  await this.updateMany(
+    { _id: { $in: messageIds } },
+    { $set: { read: true, readAt } }
+  );
+  // a message read before we saw it delivered was obviously delivered too
+  await this.updateMany(
+    { _id: { $in: messageIds }, deliveredAt: null },
+    { $set: { deliveredAt: readAt } }
   );
+
+  return { messageIds, readAt };
+};
+
+/**
+ * Static - mark every undelivered message addressed to username as delivered
+ * @param {String} username - the recipient that just came online
+ * @returns {Promise<{ bySender: Object, deliveredAt: Date }>} { senderUsername: [messageId] }
+ */
+messageSchema.statics.markDelivered = async function (username) {
+  const deliveredAt = new Date();
+  const pending = await this.find({ toUsername: username, deliveredAt: null })
+    .select('_id fromUsername')
+    .lean();
+
+  const bySender = {};
+  for (const m of pending) {
+    (bySender[m.fromUsername] = bySender[m.fromUsername] || []).push(m._id);
+  }
+  if (pending.length > 0) {
+    await this.updateMany(
+      { _id: { $in: pending.map((m) => m._id) } },
+      { $set: { deliveredAt } }
+    );
+  }
+
+  return { bySender, deliveredAt };
+};
+
+/**
+ * Instance helper: is username the sender or recipient of this direct message?
+ * (group membership is checked on the Conversation)
+ * @param {String} username
+ */
+messageSchema.methods.isDirectParticipant = function (username) {
+  return !this.conversation && (this.fromUsername === username || this.toUsername === username);
 };
 
 /**
@@ -121,6 +270,7 @@ messageSchema.statics.markAsRead = async function (username, peer) {
  */
 messageSchema.methods.markRead = async function () {
   this.read = true;
+  this.readAt = this.readAt || new Date();
   return this.save();
 };
 
@@ -16,11 +16,14 @@ const notificationSchema = new Schema({
   fromUser: { type: Schema.Types.Mixed, required: false },// sender (ObjectId or username string)
   message: { type: String, required: false },             // optional short text (for messages/comments)
   post: { type: Schema.Types.ObjectId, ref: 'Post', required: false }, // optional
+  chatMessage: { type: Schema.Types.ObjectId, ref: 'Message', required: false }, // optional, for 'message' notifications
   read: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now }
 });
 
 // Indexes for quick retrieval
 notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+// the notification of a message, updated or removed when it is edited or unsent
+notificationSchema.index({ chatMessage: 1 }, { partialFilterExpression: { chatMessage: { $type: 'objectId' } } });
 
 module.exports = mongoose.model('Notification', notificationSchema);
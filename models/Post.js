@@ -1,23 +1,45 @@
 const mongoose = require("mongoose");
 
-const CommentSchema = new mongoose.Schema(
-  {
-    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-    text: { type: String, required: true },
-  },
-  { timestamps: true }
-);
-
 const PostSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     text: { type: String }, // optional
     image: { type: String, default: "" }, // Cloudinary URL
     likes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
-    comments: [CommentSchema],
-    edited: { type: Boolean, default: false } // new: mark post as edited
+    commentCount: { type: Number, default: 0 }, // comments + replies (see models/Comment.js)
+    edited: { type: Boolean, default: false }, // new: mark post as edited
+    tags: [{ type: String }], // lowercase hashtags pulled from text (utils/text.js)
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // resolved @mentions
+
+    // Reposts / quote posts. A repost is an empty post pointing at the original (always the
+    // original, never another repost); a quote post has its own text/image plus `quoteOf`.
+    repostOf: { type: mongoose.Schema.Types.ObjectId, ref: "Post", default: null },
+    quoteOf: { type: mongoose.Schema.Types.ObjectId, ref: "Post", default: null },
+    quoteRemoved: { type: Boolean, default: false }, // the quoted post was deleted
+    repostCount: { type: Number, default: 0 },
+    quoteCount: { type: Number, default: 0 },
+    hidden: { type: Boolean, default: false }, // hidden by a moderator (models/Report.js)
+    authorPrivate: { type: Boolean, default: false } // copy of the author's isPrivate (utils/visibility.js)
   },
   { timestamps: true }
 );
 
+// Keyset pagination indexes (global feed + profile / following feeds)
+PostSchema.index({ createdAt: -1, _id: -1 });
+PostSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+// Posts under a hashtag (newest first) + trending window scans
+PostSchema.index({ tags: 1, createdAt: -1, _id: -1 });
+
+// One repost per user per original; also finds the reposts/quotes to clean up on delete
+PostSchema.index(
+  { repostOf: 1, user: 1 },
+  { unique: true, partialFilterExpression: { repostOf: { $type: "objectId" } } }
+);
+PostSchema.index({ quoteOf: 1 }, { partialFilterExpression: { quoteOf: { $type: "objectId" } } });
+
+// Full-text search over post text (see controllers/searchController.js);
+// comment text has its own index on Comment
+PostSchema.index({ text: "text" }, { name: "post_text_search" });
+
 module.exports = mongoose.model("Post", PostSchema);
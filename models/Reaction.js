@@ -0,0 +1,63 @@
+// backend/models/Reaction.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const TARGET_TYPES = ['post', 'comment', 'message'];
+
+// One emoji "character": a pictograph with optional variation selector / skin tone / ZWJ sequence, or a flag
+const EMOJI_RE = /^(?:\p{Regional_Indicator}{2}|\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic})*)$/u;
+
+/**
+ * Reaction: one emoji per user per item.
+ * - targetType/target: the post, comment (models/Comment.js) or message reacted to
+ * - post: parent post of a comment, so a post's reactions can be cleaned up together
+ */
+const reactionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    targetType: { type: String, enum: TARGET_TYPES, required: true },
+    target: { type: Schema.Types.ObjectId, required: true },
+    post: { type: Schema.Types.ObjectId, ref: 'Post', default: null },
+    emoji: {
+      type: String,
+      required: true,
+      validate: { validator: (v) => EMOJI_RE.test(v), message: 'Reaction must be a single emoji' }
+    }
+  },
+  { timestamps: true }
+);
+
+reactionSchema.index({ targetType: 1, target: 1, user: 1 }, { unique: true });
+reactionSchema.index({ post: 1 });
+
+/**
+ * Static - aggregated reactions for one item
+ * @param {String} targetType
+ * @param {ObjectId} target
+ * @param {String} userId - viewer, for `mine`
+ * @returns {Promise<{ targetType, targetId, counts: Object, total: Number, mine: String|null }>}
+ */
+reactionSchema.statics.summarize = async function (targetType, target, userId) {
+  const targetId = new mongoose.Types.ObjectId(String(target));
+  const [groups, mine] = await Promise.all([
+    this.aggregate([
+      { $match: { targetType, target: targetId } },
+      { $group: { _id: '$emoji', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]),
+    userId ? this.findOne({ targetType, target: targetId, user: userId }).select('emoji').lean() : null
+  ]);
+
+  const counts = {};
+  let total = 0;
+  for (const g of groups) {
+    counts[g._id] = g.count;
+    total += g.count;
+  }
+
+  return { targetType, targetId, counts, total, mine: mine ? mine.emoji : null };
+};
+
+module.exports = mongoose.model('Reaction', reactionSchema);
+module.exports.TARGET_TYPES = TARGET_TYPES;
+module.exports.isEmoji = (v) => typeof v === 'string' && EMOJI_RE.test(v);
@@ -0,0 +1,48 @@
+// backend/models/Report.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const TARGET_TYPES = ['post', 'comment', 'message', 'user'];
+const REASONS = ['spam', 'harassment', 'hate', 'violence', 'nudity', 'self_harm', 'misinformation', 'impersonation', 'other'];
+const STATUSES = ['open', 'actioned', 'dismissed'];
+const ACTIONS = ['hide', 'strike', 'suspend'];
+
+/**
+ * Report: a user flags a post, comment, message or account for moderators.
+ * - targetOwner: author of the reported item (or the reported account), so strikes and
+ *   suspensions know who to hit and a user's reports can be listed
+ * - status: open → actioned (with `actions`) or dismissed, set by `moderator`
+ */
+const reportSchema = new Schema(
+  {
+    reporter: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    targetType: { type: String, enum: TARGET_TYPES, required: true },
+    target: { type: Schema.Types.ObjectId, required: true },
+    targetOwner: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    reason: { type: String, enum: REASONS, required: true },
+    details: { type: String, trim: true, maxlength: 1000, default: '' },
+
+    status: { type: String, enum: STATUSES, default: 'open' },
+    actions: [{ type: String, enum: ACTIONS }],
+    moderator: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    note: { type: String, trim: true, maxlength: 1000, default: '' }, // moderator's note
+    resolvedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+// One open report per reporter per item
+reportSchema.index(
+  { reporter: 1, targetType: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+// The queue (oldest open first) and per-item / per-user lookups
+reportSchema.index({ status: 1, createdAt: 1, _id: 1 });
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index({ targetOwner: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Report', reportSchema);
+module.exports.TARGET_TYPES = TARGET_TYPES;
+module.exports.REASONS = REASONS;
+module.exports.STATUSES = STATUSES;
+module.exports.ACTIONS = ACTIONS;
@@ -0,0 +1,117 @@
+// backend/models/Session.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// how many superseded refresh tokens are remembered to detect reuse
+const MAX_ROTATED = 20;
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Session: one signed-in device. Access tokens carry its id (`sid`) and stop working once
+ * it is revoked; the refresh token ("<sessionId>.<secret>") is rotated on every use and only
+ * its hash is stored. Presenting a superseded refresh token means it leaked: the session is revoked.
+ */
+const sessionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    tokenHash: { type: String, required: true }, // current refresh token
+    rotatedHashes: { type: [String], default: [] }, // superseded refresh tokens
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }, // refresh token expiry, extended on rotation
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: '' }
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// expired sessions are dropped by MongoDB a day after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+/**
+ * Instance helper: can this session still be used?
+ * @returns {Boolean}
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Static - start a session for a user
+ * @param {ObjectId} userId
+ * @param {Object} meta - { userAgent, ip }
+ * @returns {Promise<{ session: Object, refreshToken: String }>}
+ */
+sessionSchema.statics.issue = async function (userId, { userAgent = '', ip = '' } = {}) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const session = await this.create({
+    user: userId,
+    tokenHash: hash(secret),
+    userAgent: userAgent.slice(0, 300),
+    ip,
+    expiresAt: refreshExpiry()
+  });
+  return { session, refreshToken: `${session.id}.${secret}` };
+};
+
+// "<sessionId>.<secret>" => { id, presented: hash of the secret } or null when malformed
+function parseToken(refreshToken) {
+  const [id, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!id || !secret || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { id, presented: hash(secret) };
+}
+
+/**
+ * Static - the active session a refresh token currently belongs to, without rotating it
+ * @param {String} refreshToken
+ * @returns {Promise<Object|null>}
+ */
+sessionSchema.statics.findByToken = async function (refreshToken) {
+  const parsed = parseToken(refreshToken);
+  if (!parsed) return null;
+  return this.findOne({ _id: parsed.id, tokenHash: parsed.presented, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Static - exchange a refresh token for a new one (rotation).
+ * The swap is a single conditional update, so of two concurrent refreshes with the same token
+ * only one wins; the other presents a superseded token and revokes the session as reuse.
+ * @param {String} refreshToken
+ * @param {Object} meta - { ip }
+ * @returns {Promise<{ session: Object, refreshToken: String }>}
+ * @throws {Error} with status 401 when the token is unknown, expired, revoked or reused
+ */
+sessionSchema.statics.rotate = async function (refreshToken, { ip = '' } = {}) {
+  const invalid = (msg = 'Invalid refresh token') => Object.assign(new Error(msg), { status: 401 });
+
+  const parsed = parseToken(refreshToken);
+  if (!parsed) throw invalid();
+  const { id, presented } = parsed;
+
+  const nextSecret = crypto.randomBytes(32).toString('base64url');
+  const set = { tokenHash: hash(nextSecret), lastUsedAt: new Date(), expiresAt: refreshExpiry() };
+  if (ip) set.ip = ip;
+
+  const session = await this.findOneAndUpdate(
+    { _id: id, tokenHash: presented, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: set, $push: { rotatedHashes: { $each: [presented], $slice: -MAX_ROTATED } } },
+    { new: true }
+  );
+  if (session) return { session, refreshToken: `${session.id}.${nextSecret}` };
+
+  const reused = await this.findOneAndUpdate(
+    { _id: id, rotatedHashes: presented, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'refresh token reuse' } }
+  );
+  if (reused) throw invalid('Refresh token reuse detected, session revoked');
+  throw invalid();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
+module.exports.REFRESH_TOKEN_TTL_DAYS = REFRESH_TOKEN_TTL_DAYS;
@@ -3,10 +3,118 @@ const mongoose = require('mongoose');
 const UserSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
+  emailVerified: { type: Boolean, default: false }, // set by POST /api/auth/verify-email
+  emailVerifiedAt: { type: Date, default: null },
   password: { type: String, required: true },
   avatar: { type: String, default: '' },
+  bio: { type: String, default: '', maxlength: 500 },
   followers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  lastSeen: { type: Date }, // updated by the socket layer on connect / last disconnect
+  blocked: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // users this user has blocked
+  muted: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // users whose posts/notifications this user hides (they are not told)
+  isPrivate: { type: Boolean, default: false }, // follows need approval; posts only visible to followers
+  followRequests: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // pending incoming follow requests
+
+  // TOTP two-factor authentication (controllers/twoFactorController.js); secrets are never selected by default
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date, default: null },
+    secret: { type: String, select: false }, // base32 shared secret once confirmed
+    pendingSecret: { type: String, select: false }, // issued by setup, waiting for a first valid code
+    recoveryCodes: { type: [String], select: false }, // sha256 of unused one-time codes
+    lastUsedStep: { type: Number, default: 0, select: false }, // a code is accepted once
+  },
+
+  // moderation (see models/Report.js, controllers/moderationController.js)
+  role: { type: String, enum: ['user', 'moderator', 'admin'], default: 'user' },
+  strikes: [{
+    reason: { type: String, default: '' },
+    report: { type: mongoose.Schema.Types.ObjectId, ref: 'Report', default: null },
+    moderator: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  suspendedAt: { type: Date, default: null },
+  suspendedUntil: { type: Date, default: null }, // null while suspended = indefinitely
+  suspensionReason: { type: String, default: '' },
 }, { timestamps: true });
 
+/**
+ * Instance helper: is the account suspended right now?
+ * @returns {Boolean}
+ */
+UserSchema.methods.isSuspended = function () {
+  if (!this.suspendedAt) return false;
+  return !this.suspendedUntil || this.suspendedUntil > new Date();
+};
+
+// "who blocked me" lookups for feeds and checks below
+UserSchema.index({ blocked: 1 });
+
+/**
+ * Static - has either user blocked the other? Blocks work both ways: neither side can
+ * follow, comment on or message the other.
+ * @param {ObjectId|String} userA
+ * @param {ObjectId|String} userB
+ * @returns {Promise<Boolean>}
+ */
+UserSchema.statics.blockedBetween = async function (userA, userB) {
+  const found = await this.exists({
+    $or: [{ _id: userA, blocked: userB }, { _id: userB, blocked: userA }],
+  });
+  return Boolean(found);
+};
+
+/**
+ * Static - blockedBetween for two usernames (chat identities)
+ * @param {String} usernameA
+ * @param {String} usernameB
+ * @returns {Promise<Boolean>}
+ */
+UserSchema.statics.blockedBetweenUsernames = async function (usernameA, usernameB) {
+  const users = await this.find({ username: { $in: [usernameA, usernameB] } }).select('blocked').lean();
+  if (users.length < 2) return false;
+  const [a, b] = users;
+  return a.blocked.some((id) => id.equals(b._id)) || b.blocked.some((id) => id.equals(a._id));
+};
+
+/**
+ * Static - should a notification from one user to another be dropped?
+ * True when the recipient muted or blocked the sender, or the sender blocked the recipient.
+ * @param {String} toUsername
+ * @param {String} fromUsername
+ * @returns {Promise<Boolean>}
+ */
+UserSchema.statics.isSilenced = async function (toUsername, fromUsername) {
+  const from = await this.findOne({ username: fromUsername }).select('blocked').lean();
+  if (!from) return false;
+  const found = await this.exists({
+    username: toUsername,
+    $or: [{ muted: from._id }, { blocked: from._id }, { _id: { $in: from.blocked } }],
+  });
+  return Boolean(found);
+};
+
+// case-insensitive username matching; the index below has the same collation so lookups can use it
+const USERNAME_CI = { locale: 'en', strength: 2 };
+UserSchema.index({ username: 1 }, { collation: USERNAME_CI, name: 'username_ci' });
+
+/**
+ * Static - resolve @mentioned names (utils/text.extractMentions) to users the author may mention.
+ * Names match usernames case-insensitively; unknown names and users who blocked the author are dropped.
+ * @param {Array<String>} names
+ * @param {ObjectId|String} authorId
+ * @returns {Promise<Array<{ _id, username }>>}
+ */
+UserSchema.statics.resolveMentions = async function (names, authorId) {
+  if (!names || names.length === 0) return [];
+  return this.find({ username: { $in: names }, blocked: { $ne: authorId } })
+    .collation(USERNAME_CI)
+    .select('username')
+    .lean();
+};
+
+// Full-text search over names and bios (see controllers/searchController.js)
+UserSchema.index({ username: 'text', bio: 'text' }, { weights: { username: 5, bio: 1 }, name: 'user_text_search' });
+
 module.exports = mongoose.model('User', UserSchema);
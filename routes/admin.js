@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const {
+  listUsers,
+  getUser,
+  setUserRole,
+  getUserPosts,
+  getUserReports,
+  deletePost,
+  deleteComment
+} = require('../controllers/adminController');
+
+// Admins only
+router.use(auth, authorize('admin'));
+
+// Users: ?q= searches username + email; ?role=, ?suspended=true|false (cursor paginated)
+router.get('/users', listUsers);
+router.get('/users/:id', getUser);
+router.put('/users/:id/role', setUserRole);
+
+// A user's posts (hidden ones included) and reports (?as=target|reporter)
+router.get('/users/:id/posts', getUserPosts);
+router.get('/users/:id/reports', getUserReports);
+
+// Force delete content
+router.delete('/posts/:id', deletePost);
+router.delete('/comments/:id', deleteComment);
+
+module.exports = router;
@@ -1,15 +1,68 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser, loginUser, getUser } = require('../controllers/authController');
+const {
+  registerUser,
+  loginUser,
+  getUser,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  sendVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
+const {
+  setup: setupTwoFactor,
+  enable: enableTwoFactor,
+  disable: disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyLogin
+} = require('../controllers/twoFactorController');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+
+// login buckets are per IP and per email; failed attempts also lock out progressively (authController)
+const loginLimit = rateLimit('login', { account: (req) => req.body?.email });
 
 // Register new user
-router.post('/register', registerUser);
+router.post('/register', rateLimit('register'), registerUser);
 
 // Login user
-router.post('/login', loginUser);
+router.post('/login', loginLimit, loginUser);
 
 // Get logged-in user (protected route)
 router.get('/me', auth, getUser);
 
+// Two-factor authentication (TOTP): setup => otpauth URI, enable { code } => recovery codes,
+// disable / new recovery codes need a current { code }
+router.post('/2fa/setup', auth, setupTwoFactor);
+router.post('/2fa/enable', auth, enableTwoFactor);
+router.post('/2fa/disable', auth, rateLimit('twoFactor'), disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, rateLimit('twoFactor'), regenerateRecoveryCodes);
+
+// Login step 2 when 2FA is on: body { challengeToken, code | recoveryCode }
+router.post('/2fa/verify', loginLimit, verifyLogin);
+
+// Email verification: (re)send the link, then confirm with body { token }
+router.post('/verify-email/send', auth, sendVerification);
+router.post('/verify-email', verifyEmail);
+
+// Password reset: body { email } sends a link, body { token, password } sets the new password
+router.post('/forgot-password', rateLimit('passwordReset', { account: (req) => req.body?.email }), forgotPassword);
+router.post('/reset-password', resetPassword);
+
+// Renew the access token: body { refreshToken } (refresh tokens are single use)
+router.post('/refresh', refreshToken);
+
+// Log out this device / every device
+router.post('/logout', auth, logout);
+router.post('/logout-all', auth, logoutAll);
+
+// Signed-in devices with last-used time; sign one out
+router.get('/sessions', auth, getSessions);
+router.delete('/sessions/:id', auth, revokeSession);
+
 module.exports = router;
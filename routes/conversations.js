@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const loadUsername = require('../middleware/loadUsername');
+const uploadImages = require('../middleware/uploadImages');
+const requireVerified = require('../middleware/requireVerified');
+const rateLimit = require('../middleware/rateLimit');
+const {
+  createConversation,
+  getConversations,
+  getConversation,
+  updateConversation,
+  addMembers,
+  removeMember,
+  getMessages,
+  sendMessage,
+  requireMember,
+  markRead
+} = require('../controllers/conversationController');
+
+// Group conversations are private to their members
+router.use(auth, loadUsername);
+
+// POST /api/conversations  { title, members: [username] }
+router.post('/', createConversation);
+
+// GET /api/conversations  (my groups, newest activity first)
+router.get('/', getConversations);
+
+// GET /api/conversations/:id
+router.get('/:id', getConversation);
+
+// PUT /api/conversations/:id  { title }  (admin)
+router.put('/:id', updateConversation);
+
+// POST /api/conversations/:id/members  { members: [username] }  (admin)
+router.post('/:id/members', addMembers);
+
+// DELETE /api/conversations/:id/members/:username  (admin, or yourself to leave)
+router.delete('/:id/members/:username', removeMember);
+
+// GET /api/conversations/:id/messages?before=&after=&limit=
+router.get('/:id/messages', getMessages);
+
+// POST /api/conversations/:id/messages  { text?, attachments? } or multipart images[]
+router.post('/:id/messages', requireVerified('message'), rateLimit('chatMessage'), requireMember, uploadImages, sendMessage);
+
+// PUT /api/conversations/:id/read
+router.put('/:id/read', markRead);
+
+module.exports = router;
@@ -2,9 +2,56 @@
 const express = require('express');
 const router = express.Router();
 const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const loadUsername = require('../middleware/loadUsername');
+const uploadImages = require('../middleware/uploadImages');
+const requireVerified = require('../middleware/requireVerified');
+const rateLimit = require('../middleware/rateLimit');
+const { MAX_ATTACHMENTS, fileToAttachment, sanitizeAttachments } = require('../utils/attachments');
+const { deleteMessages } = require('../utils/cleanup');
+const { userRoom, isOnline } = require('../socket/presence');
+const { markConversationRead, deliverMessage } = require('../socket/receipts');
+const {
+  getConversation,
+  getRecentConversations,
+  editMessage,
+  unsendMessage,
+  deleteMessageForMe
+} = require('../controllers/messageController');
+const {
+  reactToMessage,
+  unreactMessage,
+  getMessageReactions
+} = require('../controllers/reactionController');
+
+// Every messages endpoint is private: require a JWT and resolve the caller's username,
+// which is the identity messages are stored under.
+router.use(auth, loadUsername);
+
+/**
+ * Helper: given the two usernames of a conversation, return the peer of the
+ * authenticated user, or null when the caller is not one of them.
+ */
+function peerOf(me, userA, userB) {
+  if (userA === me) return userB;
+  if (userB === me) return userA;
+  return null;
+}
+
+/**
+ * Helper: a `?user=` / body username may be omitted (defaults to the caller) but must not
+ * name somebody else. Returns true when access is allowed.
+ */
+function isSelf(req, username) {
+  return !username || username === req.user.username;
+}
 
 /**
  * Helper: normalize payload (trim + enforce length)
+ * `attachments` may arrive as an array (JSON body) or a JSON string (multipart body);
+ * it is null when invalid.
  */
 function normalizeMessagePayload(payload = {}) {
   const fromUsername = typeof payload.fromUsername === 'string' ? payload.fromUsername.trim() : '';
@@ -14,21 +61,91 @@ function normalizeMessagePayload(payload = {}) {
   const MAX_TEXT = 2000;
   if (text.length > MAX_TEXT) text = text.slice(0, MAX_TEXT);
 
-  return { fromUsername, toUsername, text };
+  let attachments = payload.attachments;
+  if (typeof attachments === 'string') {
+    try {
+      attachments = JSON.parse(attachments);
+    } catch (e) {
+      return { fromUsername, toUsername, text, attachments: null };
+    }
+  }
+
+  return { fromUsername, toUsername, text, attachments: sanitizeAttachments(attachments) };
 }
 
 /**
- * POST /api/messages
- * Body: { fromUsername, toUsername, text }
+ * POST /api/messages/attachments
+ * Multipart: images[] (up to MAX_ATTACHMENTS)
+ * Uploads images and returns their metadata: { attachments: [{ url, publicId, width, height, mimeType, size }] }.
+ * Socket clients pass these to the `chatMessage` event.
+ */
+router.post('/attachments', uploadImages, (req, res) => {
+  const files = req.files || [];
+  if (files.length === 0) return res.status(400).json({ msg: 'No images uploaded' });
+  return res.status(201).json({ attachments: files.map(fileToAttachment) });
+});
+
+/**
+ * Runs before uploadImages so refused messages upload nothing: the recipient must exist and not
+ * be blocked either way. JSON bodies are parsed by now; multipart clients name the recipient
+ * in `?toUsername=` to get the check before their images are uploaded.
  */
-router.post('/', async (req, res) => {
+async function checkRecipient(req, res, next) {
   try {
-    const { fromUsername, toUsername, text } = normalizeMessagePayload(req.body);
-    if (!fromUsername || !toUsername || !text) {
-      return res.status(400).json({ msg: 'Missing required fields: fromUsername, toUsername, text' });
+    const toUsername = (req.body?.toUsername || req.query.toUsername || '').trim();
+    if (!toUsername) return next();
+    if (!(await User.exists({ username: toUsername }))) return res.status(404).json({ msg: 'User not found' });
+    if (await User.blockedBetweenUsernames(req.user.username, toUsername)) {
+      return res.status(403).json({ msg: 'You cannot message this user' });
+    }
+    next();
+  } catch (err) {
+    console.error('checkRecipient error', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+}
+
+/**
+ * POST /api/messages[?toUsername=]
+ * Body: { toUsername, text?, attachments? } — the sender is always the authenticated user
+ * Also accepts multipart with images[]; a message needs text, images or both.
+ * The saved message is pushed as `chatMessage` to both users' devices.
+ */
+router.post('/', requireVerified('message'), rateLimit('chatMessage'), checkRecipient, uploadImages, async (req, res) => {
+  try {
+    const { fromUsername, toUsername, text, attachments } = normalizeMessagePayload({
+      toUsername: req.query.toUsername,
+      ...req.body
+    });
+    if (!isSelf(req, fromUsername)) {
+      return res.status(403).json({ msg: 'Cannot send messages as another user' });
+    }
+    if (attachments === null) return res.status(400).json({ msg: 'Invalid attachments' });
+
+    const allAttachments = [...attachments, ...(req.files || []).map(fileToAttachment)];
+    if (allAttachments.length > MAX_ATTACHMENTS) {
+      return res.status(400).json({ msg: `At most ${MAX_ATTACHMENTS} attachments per message` });
+    }
+    if (!toUsername || (!text && allAttachments.length === 0)) {
+      return res.status(400).json({ msg: 'Missing required fields: toUsername and text or images' });
+    }
+    if (await User.blockedBetweenUsernames(req.user.username, toUsername)) {
+      return res.status(403).json({ msg: 'You cannot message this user' });
+    }
+
+    const msg = await Message.create({
+      fromUsername: req.user.username,
+      toUsername,
+      text,
+      attachments: allAttachments
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(userRoom(toUsername)).to(userRoom(req.user.username)).emit('chatMessage', msg.toJSON());
+      if (isOnline(toUsername)) await deliverMessage(io, msg);
     }
 
-    const msg = await Message.create({ fromUsername, toUsername, text });
     return res.status(201).json(msg);
   } catch (err) {
     console.error('POST /api/messages error', err);
@@ -37,22 +154,24 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * GET /api/messages/conversation?userA=alice&userB=bob
+ * GET /api/messages/conversation?userA=alice&userB=bob[&before=cursor|&after=cursor][&limit=50]
+ * Returns one page of the conversation in ascending time order:
+ * { messages, hasMore, cursors: { before, after } }
+ * Without a cursor the latest page is returned; `before` loads older history, `after` newer messages.
  */
 router.get('/conversation', async (req, res) => {
   try {
-    const { userA, userB } = req.query;
+    const { userA, userB, before, after, limit } = req.query;
     if (!userA || !userB) return res.status(400).json({ msg: 'Missing userA or userB query parameter' });
+    if (!peerOf(req.user.username, userA, userB)) {
+      return res.status(403).json({ msg: 'Not a participant of this conversation' });
+    }
 
-    const messages = await Message.find({
-      $or: [
-        { fromUsername: userA, toUsername: userB },
-        { fromUsername: userB, toUsername: userA }
-      ]
-    }).sort({ createdAt: 1 }); // ascending by time
+    const page = await Message.getConversation(userA, userB, { before, after, limit, viewer: req.user.username });
 
-    return res.json(messages);
+    return res.json(page);
   } catch (err) {
+    if (err.status === 400) return res.status(400).json({ msg: err.message });
     console.error('GET /api/messages/conversation error', err);
     return res.status(500).json({ msg: 'Server error' });
   }
@@ -62,22 +181,25 @@ router.get('/conversation', async (req, res) => {
  * DELETE /api/messages/conversation?userA=alice&userB=bob
  * or DELETE /api/messages/conversation  with body { userA, userB }
  *
- * Removes all messages between the two users.
+ * Removes all messages between the two users, with their reactions. The caller must be userA or userB.
  */
 router.delete('/conversation', async (req, res) => {
   try {
     const userA = (req.query.userA || req.body.userA || '').trim();
     const userB = (req.query.userB || req.body.userB || '').trim();
     if (!userA || !userB) return res.status(400).json({ msg: 'Missing userA or userB' });
+    if (!peerOf(req.user.username, userA, userB)) {
+      return res.status(403).json({ msg: 'Not a participant of this conversation' });
+    }
 
-    const result = await Message.deleteMany({
+    const deletedCount = await deleteMessages({
       $or: [
         { fromUsername: userA, toUsername: userB },
         { fromUsername: userB, toUsername: userA }
       ]
     });
 
-    return res.json({ ok: true, deletedCount: result.deletedCount ?? 0 });
+    return res.json({ ok: true, deletedCount });
   } catch (err) {
     console.error('DELETE /api/messages/conversation error', err);
     return res.status(500).json({ msg: 'Server error' });
@@ -95,15 +217,18 @@ router.post('/conversation/delete', async (req, res) => {
     const userA = (req.body.userA || '').trim();
     const userB = (req.body.userB || '').trim();
     if (!userA || !userB) return res.status(400).json({ msg: 'Missing userA or userB in body' });
+    if (!peerOf(req.user.username, userA, userB)) {
+      return res.status(403).json({ msg: 'Not a participant of this conversation' });
+    }
 
-    const result = await Message.deleteMany({
+    const deletedCount = await deleteMessages({
       $or: [
         { fromUsername: userA, toUsername: userB },
         { fromUsername: userB, toUsername: userA }
       ]
     });
 
-    return res.json({ ok: true, deletedCount: result.deletedCount ?? 0 });
+    return res.json({ ok: true, deletedCount });
   } catch (err) {
     console.error('POST /api/messages/conversation/delete error', err);
     return res.status(500).json({ msg: 'Server error' });
@@ -112,20 +237,19 @@ router.post('/conversation/delete', async (req, res) => {
 
 /**
  * PUT /api/messages/conversation/mark-read
- * Body: { username, peer }
+ * Body: { peer } — `username`, if sent, must be the authenticated user
+ * Pushes a `messagesRead` receipt to the peer over Socket.io.
  */
 router.put('/conversation/mark-read', async (req, res) => {
   try {
     const username = req.body.username?.trim();
     const peer = req.body.peer?.trim();
-    if (!username || !peer) return res.status(400).json({ msg: 'Missing username or peer in request body' });
+    if (!isSelf(req, username)) return res.status(403).json({ msg: 'Cannot mark messages read for another user' });
+    if (!peer) return res.status(400).json({ msg: 'Missing peer in request body' });
 
-    const result = await Message.updateMany(
-      { fromUsername: peer, toUsername: username, read: false },
-      { $set: { read: true } }
-    );
+    const { messageIds, readAt } = await markConversationRead(req.app.get('io'), req.user.username, peer);
 
-    return res.json({ msg: 'Marked as read', modifiedCount: result.modifiedCount ?? result.nModified ?? 0 });
+    return res.json({ msg: 'Marked as read', modifiedCount: messageIds.length, messageIds, readAt });
   } catch (err) {
     console.error('PUT /api/messages/conversation/mark-read error', err);
     return res.status(500).json({ msg: 'Server error' });
@@ -133,16 +257,19 @@ router.put('/conversation/mark-read', async (req, res) => {
 });
 
 /**
- * GET /api/messages/recent?user=alice
- * Returns latest message per peer (simple version).
+ * GET /api/messages/recent[?user=alice]
+ * Returns latest message per peer (simple version) for the authenticated user.
  */
 router.get('/recent', async (req, res) => {
   try {
-    const username = req.query.user?.trim();
-    if (!username) return res.status(400).json({ msg: 'Missing user query param' });
+    if (!isSelf(req, req.query.user?.trim())) return res.status(403).json({ msg: 'Not authorized' });
+    const username = req.user.username;
 
     // fetch last 50 messages where user is involved
     const msgs = await Message.find({
+      conversation: null,
+      deletedFor: { $ne: username },
+      hidden: { $ne: true },
       $or: [{ fromUsername: username }, { toUsername: username }]
     })
       .sort({ createdAt: -1 })
@@ -167,15 +294,29 @@ router.get('/recent', async (req, res) => {
 });
 
 /**
- * GET /api/messages/unread-count?user=alice
+ * GET /api/messages/unread-count[?user=alice]
+ * { unread, direct, groups } — `unread` is the total across direct and group threads
  */
 router.get('/unread-count', async (req, res) => {
   try {
-    const username = req.query.user?.trim();
-    if (!username) return res.status(400).json({ msg: 'Missing user query param' });
+    if (!isSelf(req, req.query.user?.trim())) return res.status(403).json({ msg: 'Not authorized' });
+    const username = req.user.username;
+
+    const direct = await Message.countDocuments({
+      toUsername: username,
+      read: false,
+      deletedFor: { $ne: username },
+      hidden: { $ne: true }
+    });
+    const [grouped] = await Conversation.aggregate([
+      { $match: { 'members.username': username } },
+      { $unwind: '$members' },
+      { $match: { 'members.username': username } },
+      { $group: { _id: null, unread: { $sum: '$members.unread' } } }
+    ]);
+    const groups = grouped ? grouped.unread : 0;
 
-    const count = await Message.countDocuments({ toUsername: username, read: false });
-    return res.json({ unread: count });
+    return res.json({ unread: direct + groups, direct, groups });
   } catch (err) {
     console.error('GET /api/messages/unread-count error', err);
     return res.status(500).json({ msg: 'Server error' });
@@ -183,15 +324,18 @@ router.get('/unread-count', async (req, res) => {
 });
 
 /**
- * GET /api/messages?user=username
- * Returns inbox + sent
+ * GET /api/messages[?user=username]
+ * Returns inbox + sent of the authenticated user
  */
 router.get('/', async (req, res) => {
   try {
-    const username = req.query.user?.trim();
-    if (!username) return res.status(400).json({ msg: 'Missing user' });
+    if (!isSelf(req, req.query.user?.trim())) return res.status(403).json({ msg: 'Not authorized' });
+    const username = req.user.username;
 
     const msgs = await Message.find({
+      conversation: null,
+      deletedFor: { $ne: username },
+      hidden: { $ne: true },
       $or: [{ fromUsername: username }, { toUsername: username }]
     }).sort({ createdAt: -1 });
 
@@ -202,4 +346,43 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/messages/recent/:username
+ * Latest message per peer (aggregation version); :username must be the caller.
+ */
+router.get('/recent/:username', getRecentConversations);
+
+/**
+ * GET / PUT / DELETE /api/messages/:id/reactions  (PUT body: { emoji })
+ * Emoji reactions, pushed as `reaction` to the conversation's participants.
+ * Declared before /:userA/:userB, which would otherwise take `reactions` for a username.
+ */
+router.get('/:id/reactions', getMessageReactions);
+router.put('/:id/reactions', reactToMessage);
+router.delete('/:id/reactions', unreactMessage);
+
+/**
+ * GET /api/messages/:userA/:userB[?before=|?after=][&limit=]
+ * Cursor-paginated conversation; the caller must be userA or userB.
+ */
+router.get('/:userA/:userB', getConversation);
+
+/**
+ * PUT /api/messages/:id  { text }
+ * Edit my own message; marks it `edited` and pushes `messageEdited`.
+ */
+router.put('/:id', editMessage);
+
+/**
+ * POST /api/messages/:id/unsend
+ * Unsend my own message for everyone (within MESSAGE_UNSEND_WINDOW_MINUTES); pushes `messageUnsent`.
+ */
+router.post('/:id/unsend', unsendMessage);
+
+/**
+ * DELETE /api/messages/:id
+ * Delete a message for me only; pushes `messageDeleted` to my other devices.
+ */
+router.delete('/:id', deleteMessageForMe);
+
 module.exports = router;
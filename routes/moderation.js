@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const {
+  getReports,
+  getReport,
+  resolveReport,
+  hideContent,
+  unhideContent,
+  strikeUser,
+  suspendAccount,
+  unsuspendAccount
+} = require('../controllers/moderationController');
+
+// Moderators and admins only
+router.use(auth, authorize('moderator', 'admin'));
+
+// Queue: ?status=open|actioned|dismissed&targetType=post|comment|message|user (cursor paginated)
+router.get('/reports', getReports);
+router.get('/reports/:id', getReport);
+
+// Close a report: body { status: 'actioned'|'dismissed', actions?, days?, note? }
+router.post('/reports/:id/resolve', resolveReport);
+
+// Hide / unhide content directly: type = post|comment|message
+router.put('/content/:type/:id/hide', hideContent);
+router.delete('/content/:type/:id/hide', unhideContent);
+
+// Strikes and suspensions
+router.post('/users/:id/strikes', strikeUser);
+router.put('/users/:id/suspension', suspendAccount);
+router.delete('/users/:id/suspension', unsuspendAccount);
+
+module.exports = router;
@@ -1,11 +1,25 @@
 const router = require("express").Router();
 const Notification = require("../models/Notification");
+const User = require("../models/User");
+const auth = require("../middleware/auth");
 
-// Get notifications for user
-router.get("/", async (req, res) => {
+// Notifications are keyed by username or by id (see models/Notification.js): match both forms
+const keysOf = (user) => [user.username, user._id, user._id.toString()];
+
+// Get my notifications (the recipient is the authenticated user; ?userId= is ignored)
+router.get("/", auth, async (req, res) => {
   try {
-    const userId = req.query.userId;
-    const notifs = await Notification.find({ user: userId })
+    const me = await User.findById(req.user.id).select("username muted").populate("muted", "username").lean();
+    if (!me) return res.status(404).json({ msg: "User not found" });
+
+    const filter = { user: { $in: keysOf(me) } };
+
+    // notifications from muted users stay hidden (fromUser is a username or an id)
+    if (me.muted.length) {
+      filter.fromUser = { $nin: me.muted.flatMap(keysOf) };
+    }
+
+    const notifs = await Notification.find(filter)
       .sort({ createdAt: -1 })
       .populate("fromUser", "username avatar")
       .populate("post", "text image");
@@ -13,10 +27,13 @@ router.get("/", async (req, res) => {
   } catch (err) { res.status(500).json(err); }
 });
 
-// Mark as read
-router.put("/:id/read", async (req, res) => {
+// Mark one of my notifications as read
+router.put("/:id/read", auth, async (req, res) => {
   try {
-    await Notification.findByIdAndUpdate(req.params.id, { read: true });
+    const me = await User.findById(req.user.id).select("username").lean();
+    if (!me) return res.status(404).json({ msg: "User not found" });
+
+    await Notification.updateOne({ _id: req.params.id, user: { $in: keysOf(me) } }, { read: true });
     res.status(200).json({ message: "Marked as read" });
   } catch (err) { res.status(500).json(err); }
 });
@@ -3,18 +3,40 @@ const router = express.Router();
 const util = require('util');
 
 const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const rateLimit = require('../middleware/rateLimit');
 const parser = require('../config/multer'); // Multer + Cloudinary
 const {
   getPosts,
+  getFollowingPosts,
   createPost,
+  quotePost,
+  repostPost,
+  undoRepost,
   likePost,
-  addComment,
+  getPostLikes,
   getUserPosts, 
   deletePost,   
-  updatePost,   
-  deleteComment, // ✅ already here
-  updateComment // ✅ newly added
+  updatePost
 } = require('../controllers/postController');
+const {
+  getComments,
+  getReplies,
+  addComment,
+  deleteComment,
+  updateComment,
+  likeComment,
+  getCommentLikes
+} = require('../controllers/commentController');
+const {
+  reactToPost,
+  unreactPost,
+  getPostReactions,
+  reactToComment,
+  unreactComment,
+  getCommentReactions
+} = require('../controllers/reactionController');
+const { bookmarkPost, unbookmarkPost } = require('../controllers/bookmarkController');
 
 // -------------------------
 // debug middleware BEFORE multer
@@ -59,6 +81,9 @@ function logAfterMulter(req, res, next) {
 // ✅ Get all posts (with pagination)
 router.get('/', auth, getPosts);
 
+// ✅ Get following feed: people I follow + my own posts (with pagination)
+router.get('/following', auth, getFollowingPosts);
+
 // ✅ Get all posts by a specific user (with pagination)
 router.get('/user/:id', auth, getUserPosts);
 
@@ -66,17 +91,54 @@ router.get('/user/:id', auth, getUserPosts);
 router.post(
   '/',
   auth,
+  requireVerified('post'),
+  rateLimit('post'),
   logIncoming,
   multerUploadMiddleware,
   logAfterMulter,
   createPost
 );
 
+// ✅ Repost into my followers' feeds / undo it
+router.post('/:id/repost', auth, requireVerified('post'), rateLimit('post'), repostPost);
+router.delete('/:id/repost', auth, undoRepost);
+
+// ✅ Quote post: my text (+ optional image) with the original embedded
+router.post(
+  '/:id/quote',
+  auth,
+  requireVerified('post'),
+  rateLimit('post'),
+  logIncoming,
+  multerUploadMiddleware,
+  logAfterMulter,
+  quotePost
+);
+
+// ✅ Bookmark a post (body.collection = optional collection name) / remove the bookmark
+router.put('/:id/bookmark', auth, bookmarkPost);
+router.delete('/:id/bookmark', auth, unbookmarkPost);
+
 // ✅ Like/unlike post
 router.put('/:id/like', auth, likePost);
 
-// ✅ Add comment
-router.post('/:id/comment', auth, addComment);
+// ✅ Who liked a post: username + avatar, people I follow first (?cursor= / ?limit=)
+router.get('/:id/likes', auth, getPostLikes);
+
+// ✅ Add comment (body.parent = comment id to reply in a thread)
+router.post('/:id/comment', auth, requireVerified('comment'), addComment);
+router.post('/:id/comments', auth, requireVerified('comment'), addComment);
+
+// ✅ Top-level comments of a post (cursor paginated)
+router.get('/:id/comments', auth, getComments);
+
+// ✅ Replies to a comment (cursor paginated)
+router.get('/:postId/comments/:commentId/replies', auth, getReplies);
+
+// ✅ Emoji reactions on a post: body { emoji } (one per user, reacting again replaces it)
+router.get('/:id/reactions', auth, getPostReactions);
+router.put('/:id/reactions', auth, reactToPost);
+router.delete('/:id/reactions', auth, unreactPost);
 
 // ✅ Delete post
 router.delete('/:id', auth, deletePost);
@@ -135,4 +197,13 @@ router.delete('/:postId/comments/:commentId', auth, deleteComment);
 // ✅ Update a comment
 router.put('/:postId/comments/:commentId', auth, updateComment);
 
+// ✅ Like/unlike a comment, and who liked it
+router.put('/:postId/comments/:commentId/like', auth, likeComment);
+router.get('/:postId/comments/:commentId/likes', auth, getCommentLikes);
+
+// ✅ Emoji reactions on a comment
+router.get('/:postId/comments/:commentId/reactions', auth, getCommentReactions);
+router.put('/:postId/comments/:commentId/reactions', auth, reactToComment);
+router.delete('/:postId/comments/:commentId/reactions', auth, unreactComment);
+
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { createReport, getMyReports } = require('../controllers/reportController');
+
+// Report a post, comment, message or account: body { targetType, targetId, reason, details? }
+router.post('/', auth, createReport);
+
+// My reports and their status (cursor paginated)
+router.get('/', auth, getMyReports);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { search } = require('../controllers/searchController');
+
+// Ranked full-text search over posts (text + comments) and users (username + bio)
+router.get('/', auth, search);
+
+module.exports = router;
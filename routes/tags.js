@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { getTrendingTags, getTagPosts } = require('../controllers/postController');
+
+// ✅ Trending hashtags over a sliding window (?sort=trending&hours=24&limit=10)
+// Mounted on the collection rather than /trending so a #trending tag keeps its feed below
+router.get('/', auth, getTrendingTags);
+
+// ✅ Posts under a hashtag (same pagination as the feeds)
+router.get('/:tag', auth, getTagPosts);
+
+module.exports = router;
@@ -1,21 +1,49 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const rateLimit = require('../middleware/rateLimit');
 const parser = require('../config/multer');
 const {
   uploadAvatar,
   getUser,
+  getPresence,
   followUser,
   searchUsers,
   updateBio,
   updatePassword,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  getBlockedAndMuted,
+  updatePrivacy,
+  getFollowRequests,
+  acceptFollowRequest,
+  declineFollowRequest,
 } = require('../controllers/userController');
+const { getBookmarks, getBookmarkCollections } = require('../controllers/bookmarkController');
 
 // Search users
-router.get('/search', authMiddleware, searchUsers);
+router.get('/search', authMiddleware, rateLimit('searchUsers'), searchUsers);
 
 
 
+// My bookmarks (private), optionally one collection: ?collection=
+router.get('/me/bookmarks', authMiddleware, getBookmarks);
+router.get('/me/bookmarks/collections', authMiddleware, getBookmarkCollections);
+
+// Users I blocked / muted
+router.get('/me/blocked', authMiddleware, getBlockedAndMuted);
+
+// Private account on/off: body { isPrivate }
+router.put('/privacy', authMiddleware, updatePrivacy);
+
+// Pending follow requests to my (private) account: accept or decline
+router.get('/me/follow-requests', authMiddleware, getFollowRequests);
+router.put('/me/follow-requests/:id/accept', authMiddleware, acceptFollowRequest);
+router.delete('/me/follow-requests/:id', authMiddleware, declineFollowRequest);
+
 // Upload / update avatar
 router.put('/avatar', authMiddleware, parser.single('avatar'), uploadAvatar);
 
@@ -26,7 +54,18 @@ router.put('/bio', authMiddleware, updateBio);
 router.put('/password', authMiddleware, updatePassword);
 
 // Follow / unfollow a user
-router.put('/:id/follow', authMiddleware, followUser);
+router.put('/:id/follow', authMiddleware, requireVerified('follow'), followUser);
+
+// Block / unblock (blocking also removes follow links both ways)
+router.put('/:id/block', authMiddleware, blockUser);
+router.delete('/:id/block', authMiddleware, unblockUser);
+
+// Mute / unmute (hides their posts and notifications, they are not told)
+router.put('/:id/mute', authMiddleware, muteUser);
+router.delete('/:id/mute', authMiddleware, unmuteUser);
+
+// Online status + last seen
+router.get('/:id/presence', authMiddleware, getPresence);
 
 // Get user profile by ID
 router.get('/:id', authMiddleware, getUser);
@@ -0,0 +1,32 @@
+// One-off migration: copy each author's isPrivate onto their posts and comments (`authorPrivate`,
+// see utils/visibility.js). Usage: node scripts/backfillAuthorPrivate.js   (safe to re-run)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+async function backfillAuthorPrivate() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB connected');
+
+    const privateIds = await User.find({ isPrivate: true }).distinct('_id');
+
+    for (const Model of [Post, Comment]) {
+      const made = await Model.updateMany({ user: { $in: privateIds } }, { $set: { authorPrivate: true } });
+      const cleared = await Model.updateMany(
+        { user: { $nin: privateIds }, authorPrivate: { $ne: false } },
+        { $set: { authorPrivate: false } }
+      );
+      console.log(`${Model.modelName}: ${made.modifiedCount} marked private, ${cleared.modifiedCount} marked public`);
+    }
+  } catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+backfillAuthorPrivate();
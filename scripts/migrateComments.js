@@ -0,0 +1,72 @@
+// One-off migration: move comments embedded in Post.comments into the Comment collection.
+// Usage: node scripts/migrateComments.js   (safe to re-run)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+async function migrateComments() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB connected');
+
+    // The old text index covered comments.text; a collection has only one text index,
+    // so it must go before the post-text-only one can be built
+    try {
+      await Post.collection.dropIndex('post_text_search');
+      console.log('Dropped old post_text_search index');
+    } catch (e) {
+      // index did not exist
+    }
+
+    let posts = 0;
+    let comments = 0;
+
+    // Raw collection access: `comments` is no longer part of the Post schema
+    const cursor = Post.collection.find({ 'comments.0': { $exists: true } }, { projection: { comments: 1, createdAt: 1 } });
+    for await (const post of cursor) {
+      const docs = post.comments.map((c) => ({
+        _id: c._id, // keep ids so existing reactions still point at the right comment
+        post: post._id,
+        user: c.user,
+        parent: null,
+        ancestors: [],
+        text: c.text,
+        mentions: c.mentions || [],
+        edited: Boolean(c.edited),
+        replyCount: 0,
+        createdAt: c.createdAt || post.createdAt,
+        updatedAt: c.updatedAt || c.createdAt || post.createdAt,
+      }));
+
+      await Comment.collection.bulkWrite(
+        docs.map((d) => ({ replaceOne: { filter: { _id: d._id }, replacement: d, upsert: true } }))
+      );
+      await Post.collection.updateOne(
+        { _id: post._id },
+        { $set: { commentCount: docs.length }, $unset: { comments: '' } }
+      );
+
+      posts += 1;
+      comments += docs.length;
+    }
+
+    await Post.collection.updateMany({ commentCount: { $exists: false } }, { $set: { commentCount: 0 } });
+    console.log(`Migrated ${comments} comments from ${posts} posts`);
+
+    await Post.syncIndexes();
+    await Comment.syncIndexes();
+    console.log('Indexes synced');
+
+    // Disconnect
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  } catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+    await mongoose.disconnect();
+  }
+}
+
+migrateComments();
@@ -0,0 +1,33 @@
+// Usage: node scripts/setRole.js <username> <user|moderator|admin>
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const ROLES = User.schema.path('role').enumValues;
+
+async function setRole(username, role) {
+  if (!username || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/setRole.js <username> <${ROLES.join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const user = await User.findOneAndUpdate({ username }, { $set: { role } }, { new: true });
+    if (!user) {
+      console.error(`User not found: ${username}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`${user.username} is now ${user.role}`);
+    }
+  } catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+setRole(process.argv[2], process.argv[3]);
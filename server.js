@@ -12,10 +12,18 @@ const userRoutes = require('./routes/users');
 const postRoutes = require('./routes/posts');
 const notificationRoutes = require('./routes/notifications');
 const messageRoutes = require('./routes/messages');
+const conversationRoutes = require('./routes/conversations');
+const searchRoutes = require('./routes/search');
+const tagRoutes = require('./routes/tags');
+const reportRoutes = require('./routes/reports');
+const moderationRoutes = require('./routes/moderation');
+const adminRoutes = require('./routes/admin');
 
-// Import models
-const Notification = require('./models/Notification');
-const Message = require('./models/Message');
+// Import socket handlers
+const registerSocketHandlers = require('./socket');
+
+// Password reset links must not end up in production logs
+require('./utils/mailer').checkMailConfig();
 
 const app = express();
 const server = http.createServer(app);
@@ -70,6 +78,12 @@ app.use(cors(corsOptions));
 
 app.use(express.json());
 
+// Behind a reverse proxy set TRUST_PROXY (e.g. 1) so req.ip, used by the rate limits, is the client address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // === Socket.io setup with same origins ===
 const socketCorsOrigin = allowedOrigins.length ? allowedOrigins : '*';
 const io = new Server(server, {
@@ -80,8 +94,8 @@ const io = new Server(server, {
   },
 });
 
-// Track online users by username
-const onlineUsers = {}; // { username: socket.id }
+// Expose io to route handlers (req.app.get('io')) for realtime pushes from REST endpoints
+app.set('io', io);
 
 // API routes
 app.use('/api/auth', authRoutes);
@@ -89,6 +103,12 @@ app.use('/api/users', userRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -115,101 +135,8 @@ mongoose.connect(process.env.MONGO_URI, {
   process.exit(1);
 });
 
-// Helper: broadcast online users
-function broadcastOnlineUsers() {
-  io.emit('onlineUsers', Object.keys(onlineUsers));
-}
-
-// Socket.io events
-io.on('connection', (socket) => {
-  console.log('🔌 Client connected:', socket.id);
-
-  // Join with username
-  socket.on('join', (username) => {
-    if (!username || typeof username !== 'string') return;
-    onlineUsers[username] = socket.id;
-    console.log(`👤 User joined: ${username} (${socket.id})`);
-    broadcastOnlineUsers();
-  });
-
-  // New post
-  socket.on('newPost', (post) => {
-    socket.broadcast.emit('newPost', post);
-  });
-
-  // Like event
-  socket.on('newLike', async ({ postId, fromUsername, toUsername }) => {
-    const notif = { type: 'like', toUsername, fromUsername, postId, createdAt: new Date() };
-    try {
-      await Notification.create({ user: toUsername, type: 'like', fromUser: fromUsername, post: postId });
-    } catch (e) {
-      console.warn('Notification.create (like) failed:', e.message);
-    }
-    if (onlineUsers[toUsername]) io.to(onlineUsers[toUsername]).emit('notification', notif);
-    socket.broadcast.emit('newLike', { postId, fromUsername });
-  });
-
-  // Comment event
-  socket.on('newComment', async ({ postId, fromUsername, toUsername, text }) => {
-    const notif = { type: 'comment', toUsername, fromUsername, postId, message: text, createdAt: new Date() };
-    try {
-      await Notification.create({ user: toUsername, type: 'comment', fromUser: fromUsername, post: postId, message: text });
-    } catch (e) {
-      console.warn('Notification.create (comment) failed:', e.message);
-    }
-    if (onlineUsers[toUsername]) io.to(onlineUsers[toUsername]).emit('notification', notif);
-    socket.broadcast.emit('newComment', { postId, fromUsername, text });
-  });
-
-  // Follow event
-  socket.on('follow', async ({ fromUsername, toUsername }) => {
-    const notif = { type: 'follow', toUsername, fromUsername, createdAt: new Date() };
-    try {
-      await Notification.create({ user: toUsername, type: 'follow', fromUser: fromUsername });
-    } catch (e) {
-      console.warn('Notification.create (follow) failed:', e.message);
-    }
-    if (onlineUsers[toUsername]) io.to(onlineUsers[toUsername]).emit('notification', notif);
-  });
-
-  // Direct chat messages
-  socket.on('chatMessage', async ({ fromUsername, toUsername, text }) => {
-    if (!fromUsername || !toUsername || !text) return;
-
-    let savedMsg = { fromUsername, toUsername, text, createdAt: new Date() };
-    try {
-      savedMsg = await Message.create({ fromUsername, toUsername, text });
-    } catch (e) {
-      console.warn('Message.create failed, fallback to in-memory:', e.message);
-    }
-
-    // Deliver to recipient
-    if (onlineUsers[toUsername]) io.to(onlineUsers[toUsername]).emit('chatMessage', savedMsg);
-
-    // Echo back to sender
-    socket.emit('chatMessage', savedMsg);
-
-    // Also notify recipient
-    const notif = { type: 'message', toUsername, fromUsername, message: text, createdAt: new Date() };
-    try {
-      await Notification.create({ user: toUsername, type: 'message', fromUser: fromUsername, message: text });
-    } catch (e) {
-      console.warn('Notification.create (message) failed:', e.message);
-    }
-    if (onlineUsers[toUsername]) io.to(onlineUsers[toUsername]).emit('notification', notif);
-  });
-
-  // Disconnect
-  socket.on('disconnect', () => {
-    for (const [username, id] of Object.entries(onlineUsers)) {
-      if (id === socket.id) {
-        console.log('❌ User disconnected:', username);
-        delete onlineUsers[username];
-      }
-    }
-    broadcastOnlineUsers();
-  });
-});
+// Socket.io events (JWT-authenticated, see socket/auth.js)
+registerSocketHandlers(io);
 
 // Start server
 const PORT = process.env.PORT || 5000;
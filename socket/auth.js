@@ -0,0 +1,58 @@
+// backend/socket/auth.js
+const User = require('../models/User');
+const { verifyToken, activeSession, suspensionPayload } = require('../middleware/auth');
+
+/**
+ * Pull the bearer token out of a Socket.io handshake.
+ * Clients should pass it as `io(url, { auth: { token } })`; an `Authorization: Bearer` header
+ * or `?token=` query param are accepted for clients that cannot set `auth`.
+ */
+function extractToken(handshake = {}) {
+  if (handshake.auth && typeof handshake.auth.token === 'string') {
+    return handshake.auth.token.replace(/^Bearer\s+/i, '');
+  }
+  const header = handshake.headers && handshake.headers.authorization;
+  if (header) return header.split(' ')[1];
+  if (handshake.query && typeof handshake.query.token === 'string') return handshake.query.token;
+  return null;
+}
+
+/**
+ * io.use() middleware: authenticate the socket with the same JWT the REST API uses.
+ * On success `socket.user` is { id, username, role, emailVerified }, `socket.sessionId` the login session
+ * (models/Session.js) and `socket.tokenExp` the token expiry (seconds).
+ * Failing connections receive a `connect_error` with the message below; suspended accounts
+ * get 'Account suspended' with the suspension details in `err.data`.
+ */
+module.exports = async function socketAuth(socket, next) {
+  const token = extractToken(socket.handshake);
+  if (!token) return next(new Error('No token, authorization denied'));
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (err) {
+    return next(new Error('Token is not valid'));
+  }
+
+  try {
+    const user = await User.findById(decoded.id).select('username role emailVerified suspendedAt suspendedUntil suspensionReason');
+    if (!user) return next(new Error('User not found'));
+    if (!(await activeSession(decoded))) return next(new Error('Session expired or revoked'));
+    if (user.isSuspended()) {
+      const err = new Error('Account suspended');
+      err.data = suspensionPayload(user);
+      return next(err);
+    }
+
+    socket.user = { id: user.id, username: user.username, role: user.role, emailVerified: user.emailVerified };
+    socket.sessionId = decoded.sid;
+    socket.tokenExp = decoded.exp;
+    next();
+  } catch (err) {
+    console.error('Socket auth error:', err.message);
+    next(new Error('Server error'));
+  }
+};
+
+module.exports.extractToken = extractToken;
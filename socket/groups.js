@@ -0,0 +1,58 @@
+// backend/socket/groups.js
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const { userRoom } = require('./presence');
+
+/**
+ * Group conversation delivery, shared by the `groupMessage` socket event and the
+ * conversations REST API so both paths store and push messages the same way:
+ *   groupMessage        { ...message }      -> every member (all devices)
+ *   conversationUpdated { ...conversation } -> members (and removed members)
+ */
+
+/**
+ * Emit to every member of a conversation
+ * @param {import('socket.io').Server|undefined} io
+ * @param {Array<String>} usernames
+ * @param {String} event
+ * @param {Object} payload
+ */
+function emitToMembers(io, usernames, event, payload) {
+  if (!io || usernames.length === 0) return;
+  let target = io;
+  for (const username of usernames) target = target.to(userRoom(username));
+  target.emit(event, payload);
+}
+
+/**
+ * Store a message in a group, update unread counts and deliver it to every member.
+ * The caller has already checked that fromUsername is a member.
+ * @param {import('socket.io').Server|undefined} io
+ * @param {Object} conversation - Conversation document
+ * @param {String} fromUsername
+ * @param {Object} content - { text, attachments }
+ * @returns {Promise<Object>} the saved Message
+ */
+async function postGroupMessage(io, conversation, fromUsername, { text = '', attachments = [] }) {
+  const message = await Message.create({ conversation: conversation._id, fromUsername, text, attachments });
+  await Conversation.recordMessage(conversation._id, message);
+  emitToMembers(io, conversation.memberUsernames(), 'groupMessage', message.toJSON());
+  return message;
+}
+
+/**
+ * Tell members (and anyone just removed) that title/membership changed
+ * @param {import('socket.io').Server|undefined} io
+ * @param {Object} conversation - Conversation document
+ * @param {Array<String>} extraUsernames - e.g. removed members
+ */
+function emitConversationUpdated(io, conversation, extraUsernames = []) {
+  const usernames = [...new Set([...conversation.memberUsernames(), ...extraUsernames])];
+  emitToMembers(io, usernames, 'conversationUpdated', conversation.toJSON());
+}
+
+module.exports = {
+  emitToMembers,
+  postGroupMessage,
+  emitConversationUpdated
+};
@@ -0,0 +1,248 @@
+// backend/socket/index.js
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const socketAuth = require('./auth');
+const presence = require('./presence');
+const receipts = require('./receipts');
+const groups = require('./groups');
+const { notify } = require('./notify');
+const { sanitizeAttachments } = require('../utils/attachments');
+const { isRestricted } = require('../middleware/requireVerified');
+const { consume } = require('../utils/rateLimit');
+
+// setTimeout cannot schedule further out than ~24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// A typing indicator expires unless the client refreshes it within this window
+const TYPING_TIMEOUT_MS = Number(process.env.TYPING_TIMEOUT_MS) || 5000;
+
+/**
+ * Wire up Socket.io: JWT handshake auth + realtime events.
+ * Identity always comes from the verified token (socket.user); any `fromUsername`
+ * sent by the client is ignored.
+ * @param {import('socket.io').Server} io
+ */
+module.exports = function registerSocketHandlers(io) {
+  const { userRoom, sessionRoom } = presence;
+
+  // Helper: broadcast online users
+  function broadcastOnlineUsers() {
+    io.emit('onlineUsers', presence.onlineUsernames());
+  }
+
+  // Helper: persist "last seen" and tell everyone about an online/offline transition
+  async function touchLastSeen(username, online) {
+    const lastSeen = new Date();
+    try {
+      await User.updateOne({ username }, { $set: { lastSeen } });
+    } catch (e) {
+      console.warn('User.updateOne (lastSeen) failed:', e.message);
+    }
+    io.emit('presence', { username, online, lastSeen });
+  }
+
+  io.use(socketAuth);
+
+  io.on('connection', (socket) => {
+    const { username } = socket.user;
+    console.log(`🔌 Client connected: ${username} (${socket.id})`);
+
+    // Every device of a user joins the same room so events reach all of them;
+    // the session room lets a logout / revocation drop this socket (utils/sessions.js)
+    socket.join(userRoom(username));
+    socket.join(sessionRoom(socket.sessionId));
+    if (presence.addSocket(username, socket.id)) {
+      touchLastSeen(username, true);
+      broadcastOnlineUsers();
+    }
+
+    // Messages sent while this user was offline are now delivered
+    receipts.deliverPending(io, username).catch((e) => {
+      console.warn('deliverPending failed:', e.message);
+    });
+
+    // Drop the connection once the token it authenticated with expires
+    let expiryTimer = null;
+    if (socket.tokenExp) {
+      const msLeft = socket.tokenExp * 1000 - Date.now();
+      expiryTimer = setTimeout(() => {
+        socket.emit('tokenExpired');
+        socket.disconnect(true);
+      }, Math.min(Math.max(msLeft, 0), MAX_TIMER_MS));
+    }
+
+    // Direct and group messages share the account's `chatMessage` bucket with the REST routes
+    // (utils/rateLimit.js). No IP bucket: behind a proxy every socket has the proxy's address.
+    async function messageLimit() {
+      try {
+        return await consume('chatMessage', { account: socket.user.id });
+      } catch (e) {
+        console.warn('chatMessage rate limit failed:', e.message);
+        return { allowed: true, retryAfter: 0 };
+      }
+    }
+
+    // Typing indicators: { peerUsername => timeout } for peers this socket is typing to
+    const typingTimers = new Map();
+
+    function stopTyping(toUsername) {
+      const timer = typingTimers.get(toUsername);
+      if (!timer) return;
+      clearTimeout(timer);
+      typingTimers.delete(toUsername);
+      io.to(userRoom(toUsername)).emit('stopTyping', { fromUsername: username });
+    }
+
+    // Only the first event of a burst is checked against blocks; refreshes just extend the timer
+    socket.on('typing', async ({ toUsername } = {}) => {
+      if (!toUsername || typeof toUsername !== 'string' || toUsername === username) return;
+      const existing = typingTimers.get(toUsername);
+      if (existing) {
+        clearTimeout(existing);
+      } else {
+        try {
+          if (await User.blockedBetweenUsernames(username, toUsername)) return;
+        } catch (e) {
+          console.warn('blockedBetweenUsernames failed:', e.message);
+          return;
+        }
+        if (typingTimers.has(toUsername)) return; // a concurrent event got there first
+        io.to(userRoom(toUsername)).emit('typing', { fromUsername: username, expiresIn: TYPING_TIMEOUT_MS });
+      }
+      typingTimers.set(toUsername, setTimeout(() => stopTyping(toUsername), TYPING_TIMEOUT_MS));
+    });
+
+    socket.on('stopTyping', ({ toUsername } = {}) => {
+      stopTyping(toUsername);
+    });
+
+    // Read receipts: recipient's client opened the conversation with peerUsername
+    socket.on('markRead', async ({ peerUsername } = {}) => {
+      if (!peerUsername || typeof peerUsername !== 'string') return;
+      try {
+        await receipts.markConversationRead(io, username, peerUsername);
+      } catch (e) {
+        console.warn('markConversationRead failed:', e.message);
+      }
+    });
+
+    // Legacy join: identity is taken from the token, the payload is ignored
+    socket.on('join', () => {
+      console.log(`👤 User joined: ${username} (${socket.id})`);
+      broadcastOnlineUsers();
+    });
+
+    // New post
+    socket.on('newPost', (post) => {
+      socket.broadcast.emit('newPost', post);
+    });
+
+    // Like event
+    socket.on('newLike', async ({ postId, toUsername } = {}) => {
+      const fromUsername = username;
+      await notify(io, { type: 'like', toUsername, fromUsername, postId });
+      socket.broadcast.emit('newLike', { postId, fromUsername });
+    });
+
+    // Comment event
+    socket.on('newComment', async ({ postId, toUsername, text } = {}) => {
+      const fromUsername = username;
+      await notify(io, { type: 'comment', toUsername, fromUsername, postId, message: text });
+      socket.broadcast.emit('newComment', { postId, fromUsername, text });
+    });
+
+    // Follow event
+    socket.on('follow', async ({ toUsername } = {}) => {
+      await notify(io, { type: 'follow', toUsername, fromUsername: username });
+    });
+
+    // Direct chat messages: { toUsername, text?, attachments? }
+    // attachments come from POST /api/messages/attachments
+    socket.on('chatMessage', async ({ toUsername, text, attachments } = {}) => {
+      const fromUsername = username;
+      text = typeof text === 'string' ? text.trim().slice(0, 2000) : '';
+      attachments = sanitizeAttachments(attachments);
+      if (!toUsername || !attachments || (!text && attachments.length === 0)) return;
+      stopTyping(toUsername);
+
+      if (isRestricted('message', socket.user)) {
+        socket.emit('chatMessageRejected', { toUsername, msg: 'Verify your email address to do this' });
+        return;
+      }
+
+      const { allowed, retryAfter } = await messageLimit();
+      if (!allowed) {
+        socket.emit('chatMessageRejected', { toUsername, msg: 'You are sending messages too fast', retryAfter });
+        return;
+      }
+
+      // Nothing is stored or delivered between users who blocked one another
+      try {
+        if (await User.blockedBetweenUsernames(fromUsername, toUsername)) {
+          socket.emit('chatMessageRejected', { toUsername, msg: 'You cannot message this user' });
+          return;
+        }
+      } catch (e) {
+        console.warn('blockedBetweenUsernames failed:', e.message);
+        return;
+      }
+
+      let savedMsg = { fromUsername, toUsername, text, attachments, createdAt: new Date() };
+      try {
+        savedMsg = await Message.create({ fromUsername, toUsername, text, attachments });
+      } catch (e) {
+        console.warn('Message.create failed, fallback to in-memory:', e.message);
+      }
+
+      // Deliver to recipient
+      io.to(userRoom(toUsername)).emit('chatMessage', savedMsg);
+      if (savedMsg._id && presence.isOnline(toUsername)) {
+        try {
+          await receipts.deliverMessage(io, savedMsg);
+        } catch (e) {
+          console.warn('deliverMessage failed:', e.message);
+        }
+      }
+
+      // Echo back to every device of the sender
+      io.to(userRoom(fromUsername)).emit('chatMessage', savedMsg);
+
+      // Also notify recipient
+      await notify(io, { type: 'message', toUsername, fromUsername, messageId: savedMsg._id, message: text || 'Sent a photo' });
+    });
+
+    // Group chat messages: { conversationId, text?, attachments? } -> `groupMessage` to every member
+    socket.on('groupMessage', async ({ conversationId, text, attachments } = {}) => {
+      text = typeof text === 'string' ? text.trim().slice(0, 2000) : '';
+      attachments = sanitizeAttachments(attachments);
+      if (!conversationId || !attachments || (!text && attachments.length === 0)) return;
+      if (isRestricted('message', socket.user)) return;
+
+      const { allowed, retryAfter } = await messageLimit();
+      if (!allowed) {
+        socket.emit('groupMessageRejected', { conversationId, msg: 'You are sending messages too fast', retryAfter });
+        return;
+      }
+
+      try {
+        const conversation = await Conversation.findById(conversationId);
+        if (!conversation || !conversation.hasMember(username)) return;
+        await groups.postGroupMessage(io, conversation, username, { text, attachments });
+      } catch (e) {
+        console.warn('groupMessage failed:', e.message);
+      }
+    });
+
+    // Disconnect
+    socket.on('disconnect', () => {
+      if (expiryTimer) clearTimeout(expiryTimer);
+      for (const toUsername of [...typingTimers.keys()]) stopTyping(toUsername);
+      if (presence.removeSocket(username, socket.id)) {
+        console.log('❌ User disconnected:', username);
+        touchLastSeen(username, false);
+        broadcastOnlineUsers();
+      }
+    });
+  });
+};
@@ -0,0 +1,42 @@
+// backend/socket/notify.js
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { userRoom } = require('./presence');
+
+/**
+ * Store a Notification and push it live as `notification` to every device of the recipient.
+ * Users are identified by username, as in the socket events. Self-notifications are skipped.
+ * Nothing is sent when the recipient muted or blocked the sender, or the sender blocked the recipient.
+ * A failed insert is logged, not thrown: notifications never break the action that caused them.
+ *
+ * @param {import('socket.io').Server|undefined} io
+ * @param {Object} notif - { type, toUsername, fromUsername, postId?, messageId?, message? } — no fromUsername for system notices
+ */
+async function notify(io, { type, toUsername, fromUsername, postId, messageId, message }) {
+  if (!toUsername || toUsername === fromUsername) return;
+
+  try {
+    if (fromUsername && (await User.isSilenced(toUsername, fromUsername))) return;
+  } catch (e) {
+    console.warn(`User.isSilenced (${type}) failed:`, e.message);
+  }
+
+  try {
+    await Notification.create({ user: toUsername, type, fromUser: fromUsername, post: postId, chatMessage: messageId, message });
+  } catch (e) {
+    console.warn(`Notification.create (${type}) failed:`, e.message);
+  }
+
+  if (io) {
+    io.to(userRoom(toUsername)).emit('notification', {
+      type,
+      toUsername,
+      fromUsername,
+      postId,
+      message,
+      createdAt: new Date()
+    });
+  }
+}
+
+module.exports = { notify };
@@ -0,0 +1,71 @@
+// backend/socket/presence.js
+/**
+ * In-memory presence registry: every connected socket per username, so a user with
+ * several tabs/devices stays online until the last one disconnects.
+ *
+ * Each socket also joins the room returned by userRoom(username); emit to that room
+ * to reach every device of a user.
+ */
+
+// { username => Set<socket.id> }
+const socketsByUser = new Map();
+
+function userRoom(username) {
+  return `user:${username}`;
+}
+
+// Sockets opened with an access token of one login session (see models/Session.js),
+// so revoking the session can drop them
+function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
+
+/**
+ * Register a socket for a user
+ * @returns {Boolean} true when this is the user's first connected device
+ */
+function addSocket(username, socketId) {
+  let ids = socketsByUser.get(username);
+  if (!ids) {
+    ids = new Set();
+    socketsByUser.set(username, ids);
+  }
+  ids.add(socketId);
+  return ids.size === 1;
+}
+
+/**
+ * Unregister a socket
+ * @returns {Boolean} true when the user has no connected devices left
+ */
+function removeSocket(username, socketId) {
+  const ids = socketsByUser.get(username);
+  if (!ids) return false;
+  ids.delete(socketId);
+  if (ids.size > 0) return false;
+  socketsByUser.delete(username);
+  return true;
+}
+
+function isOnline(username) {
+  return socketsByUser.has(username);
+}
+
+function deviceCount(username) {
+  const ids = socketsByUser.get(username);
+  return ids ? ids.size : 0;
+}
+
+function onlineUsernames() {
+  return [...socketsByUser.keys()];
+}
+
+module.exports = {
+  userRoom,
+  sessionRoom,
+  addSocket,
+  removeSocket,
+  isOnline,
+  deviceCount,
+  onlineUsernames
+};
@@ -0,0 +1,60 @@
+// backend/socket/receipts.js
+const Message = require('../models/Message');
+const { userRoom } = require('./presence');
+
+/**
+ * Delivered / read receipts for direct messages.
+ * Shared by the socket handlers and the REST mark-read endpoint so both push the same events:
+ *   messagesDelivered { toUsername, messageIds, deliveredAt } -> sender
+ *   messagesRead      { byUsername, messageIds, readAt }      -> sender
+ */
+
+/**
+ * Mark one freshly sent message as delivered (recipient is online) and tell the sender
+ * @param {import('socket.io').Server} io
+ * @param {Object} message - saved Message document
+ */
+async function deliverMessage(io, message) {
+  message.deliveredAt = new Date();
+  await Message.updateOne({ _id: message._id }, { $set: { deliveredAt: message.deliveredAt } });
+  io.to(userRoom(message.fromUsername)).emit('messagesDelivered', {
+    toUsername: message.toUsername,
+    messageIds: [message._id],
+    deliveredAt: message.deliveredAt
+  });
+}
+
+/**
+ * Recipient came online: everything waiting for them is now delivered
+ * @param {import('socket.io').Server} io
+ * @param {String} username
+ */
+async function deliverPending(io, username) {
+  const { bySender, deliveredAt } = await Message.markDelivered(username);
+  for (const [sender, messageIds] of Object.entries(bySender)) {
+    io.to(userRoom(sender)).emit('messagesDelivered', { toUsername: username, messageIds, deliveredAt });
+  }
+}
+
+/**
+ * Reader opened the conversation with peer: mark peer's messages read and notify peer.
+ * Other devices of the reader get the same event so their unread badges clear too.
+ * @param {import('socket.io').Server|undefined} io - may be undefined outside the server (scripts)
+ * @param {String} reader
+ * @param {String} peer
+ * @returns {Promise<{ messageIds: Array, readAt: Date }>}
+ */
+async function markConversationRead(io, reader, peer) {
+  const result = await Message.markAsRead(reader, peer);
+  if (io && result.messageIds.length > 0) {
+    const payload = { byUsername: reader, peerUsername: peer, messageIds: result.messageIds, readAt: result.readAt };
+    io.to(userRoom(peer)).to(userRoom(reader)).emit('messagesRead', payload);
+  }
+  return result;
+}
+
+module.exports = {
+  deliverMessage,
+  deliverPending,
+  markConversationRead
+};
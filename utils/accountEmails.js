@@ -0,0 +1,42 @@
+// backend/utils/accountEmails.js
+const { sendMail } = require('./mailer');
+const { signEmailToken } = require('./emailTokens');
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Links open the web client, which posts the token back to the API
+function appUrl(pathname, token) {
+  const base = (process.env.APP_URL || (process.env.CLIENT_URL || 'http://localhost:5173').split(',')[0]).trim();
+  return `${base.replace(/\/+$/, '')}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Email a verification link to the user's address
+ * @param {Object} user - User document
+ */
+async function sendVerificationEmail(user) {
+  const link = appUrl('/verify-email', signEmailToken('verifyEmail', user));
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nIf you did not sign up, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p><a href="${link}">Confirm your email address</a></p><p>If you did not sign up, ignore this email.</p>`,
+  });
+}
+
+/**
+ * Email a password reset link
+ * @param {Object} user - User document
+ */
+async function sendPasswordResetEmail(user) {
+  const link = appUrl('/reset-password', signEmailToken('resetPassword', user));
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nSet a new password by opening this link:\n${link}\n\nIf you did not ask for this, ignore this email; your password stays the same.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p><a href="${link}">Set a new password</a></p><p>If you did not ask for this, ignore this email; your password stays the same.</p>`,
+  });
+}
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,75 @@
+// backend/utils/attachments.js
+const { ALLOWED_MIME_TYPES } = require('../config/multer');
+const cloudinary = require('../config/cloudinary');
+
+const MAX_ATTACHMENTS = 4;
+const UPLOAD_FOLDER = 'socialapp/';
+
+/**
+ * Map a multer/Cloudinary file (config/multer.js) to the attachment metadata stored on a Message
+ * @param {Object} file - req.file / req.files[i]
+ * @returns {{ url, publicId, width, height, mimeType, size }}
+ */
+function fileToAttachment(file) {
+  return {
+    url: file.path,
+    publicId: file.filename,
+    width: file.width || null,
+    height: file.height || null,
+    mimeType: file.mimetype,
+    size: file.size || null
+  };
+}
+
+/**
+ * Validate attachment metadata sent back by a client (socket payload or JSON body) after
+ * it uploaded the images through POST /api/messages/attachments.
+ * Only images from our own Cloudinary upload folder, with an allowed mime type, are kept.
+ * @param {Array} list
+ * @returns {Array|null} cleaned attachments, or null when any entry is invalid / too many were sent
+ */
+function sanitizeAttachments(list) {
+  if (list == null) return [];
+  if (!Array.isArray(list) || list.length > MAX_ATTACHMENTS) return null;
+
+  const prefix = `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload/`;
+  const cleaned = [];
+  for (const a of list) {
+    if (!a || typeof a.url !== 'string' || typeof a.publicId !== 'string') return null;
+    if (!a.url.startsWith(prefix) || !a.publicId.startsWith(UPLOAD_FOLDER)) return null;
+    if (!ALLOWED_MIME_TYPES.includes(a.mimeType)) return null;
+    cleaned.push({
+      url: a.url,
+      publicId: a.publicId,
+      width: Number(a.width) || null,
+      height: Number(a.height) || null,
+      mimeType: a.mimeType,
+      size: Number(a.size) || null
+    });
+  }
+  return cleaned;
+}
+
+/**
+ * Delete uploaded images from Cloudinary (rejected uploads, unsent messages).
+ * Failures are logged, not thrown: a leftover image must not fail the request.
+ * @param {Array<{ publicId: String }>} attachments
+ */
+async function destroyAttachments(attachments = []) {
+  await Promise.all(
+    attachments
+      .filter((a) => a && a.publicId)
+      .map((a) =>
+        cloudinary.uploader.destroy(a.publicId).catch((e) => {
+          console.warn(`Cloudinary destroy (${a.publicId}) failed:`, e.message);
+        })
+      )
+  );
+}
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  fileToAttachment,
+  sanitizeAttachments,
+  destroyAttachments
+};
@@ -0,0 +1,73 @@
+// backend/utils/cleanup.js
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const Bookmark = require('../models/Bookmark');
+const Message = require('../models/Message');
+
+// Deletions shared by the owner endpoints (postController / commentController / messages) and the admin API.
+
+/**
+ * Drop what hangs off deleted posts: comments, reactions on the posts and their comments, bookmarks
+ * @param {Array<ObjectId>} postIds
+ * @returns {Promise<Array<ObjectId>>} ids of the removed comments
+ */
+async function removePostData(postIds) {
+  const commentIds = await Comment.find({ post: { $in: postIds } }).distinct('_id');
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+  await Reaction.deleteMany({ post: { $in: postIds } });
+  await Bookmark.deleteMany({ post: { $in: postIds } });
+  return commentIds;
+}
+
+/**
+ * Delete a post with everything attached to it.
+ * Plain reposts of it go with it; quote posts stay, marked `quoteRemoved`.
+ * Deleting a repost / quote gives back the original's count.
+ * @param {Object} post - Post document
+ * @returns {Promise<{ posts: Array<ObjectId>, comments: Array<ObjectId> }>} everything removed
+ */
+async function deletePostCascade(post) {
+  await post.deleteOne();
+
+  const reposts = await Post.find({ repostOf: post._id }).distinct('_id');
+  await Post.deleteMany({ _id: { $in: reposts } });
+  const posts = [post._id, ...reposts];
+  const comments = await removePostData(posts);
+  await Post.updateMany({ quoteOf: post._id }, { $set: { quoteOf: null, quoteRemoved: true } });
+
+  if (post.repostOf) await Post.updateOne({ _id: post.repostOf }, { $inc: { repostCount: -1 } });
+  if (post.quoteOf) await Post.updateOne({ _id: post.quoteOf }, { $inc: { quoteCount: -1 } });
+
+  return { posts, comments };
+}
+
+/**
+ * Delete a comment and every reply under it, keeping the post / parent counters right
+ * @param {Object} comment - Comment document
+ * @returns {Promise<Array<ObjectId>>} ids of the removed comments
+ */
+async function deleteCommentThread(comment) {
+  const thread = await Comment.find({ $or: [{ _id: comment._id }, { ancestors: comment._id }] }).distinct('_id');
+  await Comment.deleteMany({ _id: { $in: thread } });
+  await Reaction.deleteMany({ targetType: 'comment', target: { $in: thread } });
+
+  await Post.updateOne({ _id: comment.post }, { $inc: { commentCount: -thread.length } });
+  if (comment.parent) await Comment.updateOne({ _id: comment.parent }, { $inc: { replyCount: -1 } });
+
+  return thread;
+}
+
+/**
+ * Delete messages together with their reactions
+ * @param {Object} filter - Message filter
+ * @returns {Promise<Number>} how many messages were removed
+ */
+async function deleteMessages(filter) {
+  const ids = await Message.find(filter).distinct('_id');
+  await Reaction.deleteMany({ targetType: 'message', target: { $in: ids } });
+  const result = await Message.deleteMany({ _id: { $in: ids } });
+  return result.deletedCount ?? 0;
+}
+
+module.exports = { removePostData, deletePostCascade, deleteCommentThread, deleteMessages };
@@ -0,0 +1,58 @@
+// backend/utils/emailTokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Signed, expiring tokens sent by email. Each purpose is its own JWT audience, so a token
+// cannot be replayed for another purpose or as an access token (those carry `id` + `sid`).
+const PURPOSES = {
+  verifyEmail: { audience: 'verify-email', ttl: process.env.EMAIL_VERIFICATION_TTL || '24h' },
+  resetPassword: { audience: 'reset-password', ttl: process.env.PASSWORD_RESET_TTL || '1h' },
+};
+
+const secret = () => process.env.EMAIL_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Ties a token to the account's current state, so it dies once that state changes:
+// a verification link when the email changes, a reset link once the password is changed (single use).
+function fingerprint(user, purpose) {
+  const state = purpose === 'resetPassword' ? user.password : user.email;
+  return crypto.createHash('sha256').update(String(state)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Sign a token for a user
+ * @param {'verifyEmail'|'resetPassword'} purpose
+ * @param {Object} user - User document (with email / password)
+ * @returns {String}
+ */
+function signEmailToken(purpose, user) {
+  const { audience, ttl } = PURPOSES[purpose];
+  return jwt.sign({ fp: fingerprint(user, purpose) }, secret(), { subject: String(user._id), audience, expiresIn: ttl });
+}
+
+/**
+ * Read the user id out of a token without trusting it yet
+ * @param {'verifyEmail'|'resetPassword'} purpose
+ * @param {String} token
+ * @returns {String|null} user id, null when the token is malformed, forged or expired
+ */
+function readEmailToken(purpose, token) {
+  try {
+    return jwt.verify(token, secret(), { audience: PURPOSES[purpose].audience }).sub;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Does the token still match the user's current state? (call after readEmailToken)
+ * @param {'verifyEmail'|'resetPassword'} purpose
+ * @param {String} token
+ * @param {Object} user
+ * @returns {Boolean}
+ */
+function matchesUser(purpose, token, user) {
+  const { fp } = jwt.decode(token) || {};
+  return fp === fingerprint(user, purpose);
+}
+
+module.exports = { signEmailToken, readEmailToken, matchesUser };
@@ -0,0 +1,72 @@
+// backend/utils/feed.js
+const Comment = require('../models/Comment');
+const Bookmark = require('../models/Bookmark');
+
+// Top-level comments shown under each post in list payloads
+const COMMENT_PREVIEW_SIZE = 2;
+
+// What every post payload shows: author and resolved mentions
+const AUTHOR_POPULATE = [
+  { path: 'user', select: 'username avatar' },
+  { path: 'mentions', select: 'username' }
+];
+
+// ...plus the original behind a repost / quote post (null once the original is deleted)
+const POST_POPULATE = [
+  ...AUTHOR_POPULATE,
+  { path: 'repostOf', populate: AUTHOR_POPULATE },
+  { path: 'quoteOf', populate: AUTHOR_POPULATE }
+];
+
+/**
+ * Populate a Post query (returns the query) or a Post document (returns a promise)
+ * @param {mongoose.Query|mongoose.Document} target
+ */
+const populateFeed = (target) => target.populate(POST_POPULATE);
+
+/**
+ * Turn Post documents into response objects: adds `commentPreview`, the latest
+ * top-level comments (with author), next to the stored `commentCount`, and
+ * `bookmarked` for the requesting user.
+ * The full thread is paged through GET /api/posts/:id/comments.
+ * @param {Array} posts - Post documents or plain objects, already populated with populateFeed
+ * @param {String} viewerId - req.user.id
+ * @returns {Promise<Array<Object>>}
+ */
+async function decoratePosts(posts, viewerId) {
+  const list = posts.map((p) => (p && typeof p.toObject === 'function' ? p.toObject() : p));
+
+  await Bookmark.flagPosts(list, viewerId);
+
+  await Promise.all(
+    list.map(async (post) => {
+      post.commentPreview = await Comment.find({ post: post._id, parent: null, hidden: { $ne: true } })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(COMMENT_PREVIEW_SIZE)
+        .populate('user', 'username avatar')
+        .populate('mentions', 'username')
+        .lean();
+    })
+  );
+
+  return list;
+}
+
+/**
+ * decoratePosts for a single post
+ * @param {Object} post
+ * @param {String} viewerId
+ * @returns {Promise<Object>}
+ */
+async function decoratePost(post, viewerId) {
+  const [decorated] = await decoratePosts([post], viewerId);
+  return decorated;
+}
+
+module.exports = {
+  COMMENT_PREVIEW_SIZE,
+  POST_POPULATE,
+  populateFeed,
+  decoratePosts,
+  decoratePost
+};
@@ -0,0 +1,54 @@
+// backend/utils/likers.js
+const User = require('../models/User');
+const { parseLimit, encodeOffsetCursor, decodeOffsetCursor } = require('./pagination');
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * One page of the users behind a `likes` array ("who liked this").
+ *
+ * People the viewer follows come first, then everyone else; within each group the
+ * most recent likes come first (likes are appended, so the array is read backwards).
+ * The order is rebuilt on every request, so the cursor is an offset into it.
+ *
+ * @param {Array<ObjectId>} likes - the post/comment `likes` array
+ * @param {String} viewerId - req.user.id
+ * @param {Object} params - { cursor, limit } (usually req.query)
+ * @returns {Promise<{ total: Number, users: Array, hasMore: Boolean, cursor: String|null }>}
+ * @throws {Error} with status 400 when the cursor is malformed
+ */
+async function listLikers(likes, viewerId, params = {}) {
+  const limit = parseLimit(params.limit, DEFAULT_LIMIT);
+  const offset = params.cursor ? decodeOffsetCursor(params.cursor) : 0;
+  if (offset === null) {
+    const err = new Error('Invalid cursor');
+    err.status = 400;
+    throw err;
+  }
+
+  const viewer = await User.findById(viewerId).select('following').lean();
+  const following = new Set((viewer?.following || []).map(String));
+
+  const newestFirst = [...likes].reverse().map(String);
+  const ordered = [
+    ...newestFirst.filter((id) => following.has(id)),
+    ...newestFirst.filter((id) => !following.has(id))
+  ];
+
+  const pageIds = ordered.slice(offset, offset + limit);
+  const users = await User.find({ _id: { $in: pageIds } }).select('username avatar').lean();
+  const byId = new Map(users.map((u) => [String(u._id), u]));
+
+  const hasMore = offset + limit < ordered.length;
+  return {
+    total: ordered.length,
+    // accounts deleted since they liked are skipped
+    users: pageIds
+      .filter((id) => byId.has(id))
+      .map((id) => ({ ...byId.get(id), followedByMe: following.has(id) })),
+    hasMore,
+    cursor: hasMore ? encodeOffsetCursor(offset + limit) : null
+  };
+}
+
+module.exports = { listLikers };
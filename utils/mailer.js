@@ -0,0 +1,65 @@
+// backend/utils/mailer.js
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Outgoing mail. The transport is picked with MAIL_TRANSPORT:
+ * - console: prints the message, for local development. Messages carry sign-in links, so it is only
+ *   the default outside production; in production MAIL_TRANSPORT must be set (see checkMailConfig)
+ * - file: writes each message as JSON into MAIL_FILE_DIR (default ./mail-outbox)
+ * Production transports (SMTP, an email API...) plug in with registerTransport(name, send).
+ */
+const transports = {
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  file: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox');
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(path.join(dir, name), JSON.stringify({ ...message, date: new Date() }, null, 2));
+  },
+};
+
+/**
+ * Add or replace a transport
+ * @param {String} name - value of MAIL_TRANSPORT that selects it
+ * @param {Function} send - async ({ from, to, subject, text, html }) => void
+ */
+function registerTransport(name, send) {
+  if (typeof send !== 'function') throw new Error('A mail transport must be a function');
+  transports[name] = send;
+}
+
+// the configured transport name, null when none is configured in production
+function transportName() {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  return process.env.NODE_ENV === 'production' ? null : 'console';
+}
+
+/**
+ * Startup check (server.js): refuse to run in production without MAIL_TRANSPORT
+ * @throws {Error}
+ */
+function checkMailConfig() {
+  if (!transportName()) throw new Error('MAIL_TRANSPORT must be set in production');
+}
+
+/**
+ * Send a message through the configured transport
+ * @param {Object} message - { to, subject, text, html? }
+ * @throws {Error} when no transport is configured, or it is unknown or fails
+ */
+async function sendMail({ to, subject, text, html }) {
+  const name = transportName();
+  if (!name) throw new Error('MAIL_TRANSPORT is not set');
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+
+  const from = process.env.MAIL_FROM || 'no-reply@localhost';
+  await transport({ from, to, subject, text, html });
+}
+
+module.exports = { registerTransport, checkMailConfig, sendMail };
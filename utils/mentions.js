@@ -0,0 +1,42 @@
+// backend/utils/mentions.js
+const User = require('../models/User');
+const { extractMentions } = require('./text');
+const { notify } = require('../socket/notify');
+
+/**
+ * Resolve @mentions in text to users. Unknown users and users who blocked the author are dropped.
+ * @param {String} text
+ * @param {String|ObjectId} authorId
+ * @returns {Promise<Array<{ _id, username }>>}
+ */
+async function resolveMentions(text, authorId) {
+  return User.resolveMentions(extractMentions(text), authorId);
+}
+
+/**
+ * Send a `mention` notification to users that were not already mentioned (on edit)
+ * @param {Object} req - Express request (author = req.user.id, io from req.app)
+ * @param {Array<{ _id, username }>} users - resolveMentions result
+ * @param {Array<ObjectId>} previousIds - mentions stored before this edit
+ * @param {ObjectId} postId - post the mention appears in (or under)
+ * @param {String} text
+ */
+async function notifyMentions(req, users, previousIds, postId, text) {
+  const before = new Set((previousIds || []).map(String));
+  const fresh = users.filter((u) => !before.has(String(u._id)) && String(u._id) !== req.user.id);
+  if (fresh.length === 0) return;
+
+  const author = await User.findById(req.user.id).select('username');
+  if (!author) return;
+
+  const io = req.app.get('io');
+  const message = String(text).slice(0, 140);
+  for (const u of fresh) {
+    await notify(io, { type: 'mention', toUsername: u.username, fromUsername: author.username, postId, message });
+  }
+}
+
+module.exports = {
+  resolveMentions,
+  notifyMentions
+};
@@ -0,0 +1,134 @@
+// backend/utils/moderation.js
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const { notify } = require('../socket/notify');
+const { userRoom } = require('../socket/presence');
+
+// Content types a moderator can hide (accounts are suspended instead)
+const HIDEABLE = {
+  post: Post,
+  comment: Comment,
+  message: Message,
+};
+
+/**
+ * Load a reportable item and the id of the user it belongs to.
+ * Hidden content is still found: moderators need to see what they act on.
+ * @param {'post'|'comment'|'message'|'user'} targetType
+ * @param {String} targetId
+ * @returns {Promise<{ target: Object, ownerId: ObjectId }|null>}
+ */
+async function loadTarget(targetType, targetId) {
+  if (!mongoose.Types.ObjectId.isValid(targetId)) return null;
+
+  if (targetType === 'user') {
+    const user = await User.findById(targetId).select('username avatar bio role strikes suspendedAt suspendedUntil');
+    return user ? { target: user, ownerId: user._id } : null;
+  }
+
+  if (targetType === 'message') {
+    const message = await Message.findById(targetId);
+    if (!message) return null;
+    const owner = await User.findOne({ username: message.fromUsername }).select('_id');
+    return { target: message, ownerId: owner ? owner._id : null };
+  }
+
+  const Model = HIDEABLE[targetType];
+  const item = Model ? await Model.findById(targetId).populate('user', 'username avatar') : null;
+  return item ? { target: item, ownerId: item.user?._id || null } : null;
+}
+
+/**
+ * Can `username` see this message? (reporters must be part of the conversation)
+ * @param {Object} message - Message document
+ * @param {String} username
+ * @returns {Promise<Boolean>}
+ */
+async function canSeeMessage(message, username) {
+  if (!message.conversation) return message.isDirectParticipant(username);
+  const conversation = await Conversation.findById(message.conversation);
+  return Boolean(conversation && conversation.hasMember(username));
+}
+
+/**
+ * Hide / unhide a post, comment or message for everyone
+ * @returns {Promise<Boolean>} false when the item does not exist
+ */
+async function setHidden(targetType, targetId, hidden) {
+  const Model = HIDEABLE[targetType];
+  if (!Model || !mongoose.Types.ObjectId.isValid(targetId)) return false;
+  const result = await Model.updateOne({ _id: targetId }, { $set: { hidden } });
+  return result.matchedCount > 0;
+}
+
+/**
+ * Record a strike on an account and tell its owner
+ * @param {import('socket.io').Server|undefined} io
+ * @param {ObjectId} userId
+ * @param {Object} strike - { reason, report, moderator }
+ * @returns {Promise<Number|null>} the account's strike count, null when it does not exist
+ */
+async function addStrike(io, userId, { reason = '', report = null, moderator }) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $push: { strikes: { reason, report, moderator } } },
+    { new: true }
+  ).select('username strikes');
+  if (!user) return null;
+
+  await notify(io, { type: 'strike', toUsername: user.username, message: reason || 'Community guidelines violation' });
+  return user.strikes.length;
+}
+
+/**
+ * Suspend an account for `days` (indefinitely when omitted) and drop its live sockets.
+ * REST calls are refused by middleware/auth.js from the next request on.
+ * @param {import('socket.io').Server|undefined} io
+ * @param {ObjectId} userId
+ * @param {Object} options - { days, reason }
+ * @returns {Promise<Object|null>} the updated user, null when it does not exist
+ */
+async function suspendUser(io, userId, { days, reason = '' } = {}) {
+  const now = new Date();
+  const until = Number(days) > 0 ? new Date(now.getTime() + Number(days) * 24 * 60 * 60 * 1000) : null;
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { suspendedAt: now, suspendedUntil: until, suspensionReason: reason } },
+    { new: true }
+  ).select('username suspendedAt suspendedUntil suspensionReason');
+  if (!user) return null;
+
+  if (io) {
+    io.to(userRoom(user.username)).emit('suspended', { suspendedUntil: until, reason });
+    io.in(userRoom(user.username)).disconnectSockets(true);
+  }
+  return user;
+}
+
+/**
+ * Lift a suspension
+ * @param {ObjectId} userId
+ * @returns {Promise<Object|null>}
+ */
+async function unsuspendUser(userId) {
+  return User.findByIdAndUpdate(
+    userId,
+    { $set: { suspendedAt: null, suspendedUntil: null, suspensionReason: '' } },
+    { new: true }
+  ).select('username suspendedAt suspendedUntil');
+}
+
+module.exports = {
+  HIDEABLE_TYPES: Object.keys(HIDEABLE),
+  loadTarget,
+  canSeeMessage,
+  setHidden,
+  addStrike,
+  suspendUser,
+  unsuspendUser,
+};
@@ -0,0 +1,180 @@
+// backend/utils/pagination.js
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse a client supplied page size, falling back to `fallback` and capping at MAX_LIMIT
+ * @param {*} value
+ * @param {Number} fallback
+ * @returns {Number}
+ */
+function parseLimit(value, fallback = DEFAULT_LIMIT) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(n, MAX_LIMIT);
+}
+
+/**
+ * Encode a document position as an opaque cursor string.
+ * The cursor is base64url("<createdAt ms>:<_id>") so clients never depend on its contents.
+ * @param {Object} doc - any document with createdAt and _id
+ * @returns {String|null}
+ */
+function encodeCursor(doc) {
+  if (!doc || !doc.createdAt || !doc._id) return null;
+  const raw = `${new Date(doc.createdAt).getTime()}:${doc._id}`;
+  return Buffer.from(raw).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {String} cursor
+ * @returns {{ createdAt: Date, _id: mongoose.Types.ObjectId }|null} null when malformed
+ */
+function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') return null;
+  try {
+    const [ms, id] = Buffer.from(cursor, 'base64url').toString('utf8').split(':');
+    const createdAt = new Date(Number(ms));
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Encode a relevance-ranked position (text search) as an opaque cursor: base64url("<score>:<_id>")
+ * @param {Object} doc - aggregation row with `score` and `_id`
+ * @returns {String|null}
+ */
+function encodeRankCursor(doc) {
+  if (!doc || typeof doc.score !== 'number' || !doc._id) return null;
+  return Buffer.from(`${doc.score}:${doc._id}`).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeRankCursor
+ * @param {String} cursor
+ * @returns {{ score: Number, _id: mongoose.Types.ObjectId }|null} null when malformed
+ */
+function decodeRankCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') return null;
+  const [score, id] = Buffer.from(cursor, 'base64url').toString('utf8').split(':');
+  if (!Number.isFinite(Number(score)) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { score: Number(score), _id: new mongoose.Types.ObjectId(id) };
+}
+
+/**
+ * Encode a position in a list that is rebuilt per request (e.g. likers) as an opaque cursor
+ * @param {Number} offset - index of the next item
+ * @returns {String}
+ */
+function encodeOffsetCursor(offset) {
+  return Buffer.from(`o:${offset}`).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeOffsetCursor
+ * @param {String} cursor
+ * @returns {Number|null} null when malformed
+ */
+function decodeOffsetCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') return null;
+  const match = /^o:(\d+)$/.exec(Buffer.from(cursor, 'base64url').toString('utf8'));
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Build a filter that selects documents strictly older ('before') or newer ('after') than the cursor.
+ * Ties on createdAt are broken by _id so no item is repeated or skipped.
+ * @param {{ createdAt: Date, _id: ObjectId }} position - decoded cursor
+ * @param {'before'|'after'} direction
+ * @returns {Object} mongo filter
+ */
+function cursorFilter(position, direction) {
+  const op = direction === 'after' ? '$gt' : '$lt';
+  return {
+    $or: [
+      { createdAt: { [op]: position.createdAt } },
+      { createdAt: position.createdAt, _id: { [op]: position._id } }
+    ]
+  };
+}
+
+/**
+ * Keyset-paginate a mongoose query by createdAt + _id.
+ *
+ * Reads `before` / `after` / `limit` from `params` (usually req.query) and returns
+ * items ordered newest-first unless `order: 'asc'` is requested.
+ * Without a cursor the first page holds the newest items, or the oldest with `start: 'oldest'`.
+ * `hasMore` tells whether more items exist in the direction that was paged.
+ *
+ * @param {mongoose.Model} Model
+ * @param {Object} filter - base mongo filter
+ * @param {Object} params - { before, after, limit }
+ * @param {Object} options - { order = 'desc', start = 'newest', defaultLimit, build(query) => query }
+ * @returns {Promise<{ items: Array, hasMore: Boolean, cursors: { before: String|null, after: String|null } }>}
+ * @throws {Error} with status 400 when a cursor is malformed
+ */
+async function paginate(Model, filter, params = {}, options = {}) {
+  const { order = 'desc', start = 'newest', defaultLimit = DEFAULT_LIMIT, build } = options;
+  const limit = parseLimit(params.limit, defaultLimit);
+  let direction = start === 'oldest' ? 'after' : 'before';
+  if (params.after) direction = 'after';
+  else if (params.before) direction = 'before';
+  const rawCursor = params.after || params.before;
+
+  const conditions = [filter];
+  if (rawCursor) {
+    const position = decodeCursor(rawCursor);
+    if (!position) {
+      const err = new Error('Invalid cursor');
+      err.status = 400;
+      throw err;
+    }
+    conditions.push(cursorFilter(position, direction));
+  }
+
+  // walk away from the cursor, then restore the requested order
+  const walk = direction === 'after' ? 1 : -1;
+  let query = Model.find(conditions.length > 1 ? { $and: conditions } : filter)
+    .sort({ createdAt: walk, _id: walk })
+    .limit(limit + 1);
+  if (build) query = build(query);
+
+  const docs = await query;
+  const hasMore = docs.length > limit;
+  if (hasMore) docs.pop();
+
+  const wantAsc = order === 'asc';
+  if ((walk === 1) !== wantAsc) docs.reverse();
+
+  const oldest = wantAsc ? docs[0] : docs[docs.length - 1];
+  const newest = wantAsc ? docs[docs.length - 1] : docs[0];
+
+  return {
+    items: docs,
+    hasMore,
+    cursors: {
+      before: encodeCursor(oldest),
+      after: encodeCursor(newest)
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  encodeRankCursor,
+  decodeRankCursor,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+  cursorFilter,
+  paginate
+};
@@ -0,0 +1,218 @@
+// backend/utils/rateLimit.js
+
+/**
+ * Rate limiting for routes (middleware/rateLimit.js) and socket events.
+ *
+ * Counters live in a store picked with RATE_LIMIT_STORE (default 'memory'). The in-memory
+ * store is per process; a shared one (Redis...) plugs in with registerStore(name, store)
+ * and must implement:
+ *   increment(key, windowMs) => { count, resetAt }  fixed window, starts on the first hit
+ *   get(key)                 => { count, resetAt } | null
+ *   set(key, count, ttlMs)
+ *   reset(key)
+ * All methods may be async.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore() {
+  const entries = new Map(); // key => { count, resetAt (ms) }
+
+  const live = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // drop expired entries so keys that are never hit again don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) if (entry.resetAt <= now) entries.delete(key);
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    increment(key, windowMs) {
+      const now = Date.now();
+      const entry = live(key, now) || { count: 0, resetAt: now + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    set(key, count, ttlMs) {
+      entries.set(key, { count, resetAt: Date.now() + ttlMs });
+    },
+    reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+const stores = {
+  memory: createMemoryStore(),
+};
+
+/**
+ * Add or replace a store
+ * @param {String} name - value of RATE_LIMIT_STORE that selects it
+ * @param {Object} store - { increment, get, set, reset }, see above
+ */
+function registerStore(name, store) {
+  for (const method of ['increment', 'get', 'set', 'reset']) {
+    if (typeof store?.[method] !== 'function') throw new Error(`A rate limit store must implement ${method}()`);
+  }
+  stores[name] = store;
+}
+
+function getStore() {
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+  const store = stores[name];
+  if (!store) throw new Error(`Unknown rate limit store: ${name}`);
+  return store;
+}
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Buckets per action: { ip, account } => { max, windowMs }.
+ * A hit counts against every bucket of the action that has a key.
+ */
+const LIMITS = {
+  login: { ip: { max: 30, windowMs: 15 * MINUTE }, account: { max: 10, windowMs: 15 * MINUTE } },
+  register: { ip: { max: 5, windowMs: HOUR } },
+  twoFactor: { account: { max: 10, windowMs: 15 * MINUTE } },
+  passwordReset: { ip: { max: 10, windowMs: HOUR }, account: { max: 3, windowMs: HOUR } },
+  searchUsers: { ip: { max: 120, windowMs: MINUTE }, account: { max: 60, windowMs: MINUTE } },
+  post: { ip: { max: 60, windowMs: 10 * MINUTE }, account: { max: 20, windowMs: 10 * MINUTE } },
+  chatMessage: { ip: { max: 60, windowMs: 10 * SECOND }, account: { max: 30, windowMs: 10 * SECOND } },
+};
+
+const secondsUntil = (ms) => Math.max(1, Math.ceil((ms - Date.now()) / SECOND));
+
+// emails are matched as typed at login; bucket keys ignore case and spaces (user ids are unaffected)
+const accountKey = (account) => (typeof account === 'string' ? account.trim().toLowerCase() : account);
+
+/**
+ * Count one hit of `action` for the caller
+ * @param {String} action - key of LIMITS
+ * @param {Object} keys - { ip, account } (account: user id, or the email for logins); missing keys are skipped
+ * @returns {Promise<{ allowed: Boolean, retryAfter: Number }>} retryAfter in seconds, 0 when allowed
+ */
+async function consume(action, keys = {}) {
+  const buckets = LIMITS[action];
+  if (!buckets) throw new Error(`Unknown rate limit action: ${action}`);
+
+  const store = getStore();
+  let retryAfter = 0;
+  for (const [kind, { max, windowMs }] of Object.entries(buckets)) {
+    if (!keys[kind]) continue;
+    const id = kind === 'account' ? accountKey(keys[kind]) : keys[kind];
+    const { count, resetAt } = await store.increment(`rl:${action}:${kind}:${id}`, windowMs);
+    if (count > max) retryAfter = Math.max(retryAfter, secondsUntil(resetAt));
+  }
+  return { allowed: retryAfter === 0, retryAfter };
+}
+
+/**
+ * Failed logins. Each failure is remembered for FAILURE_WINDOW_MS; from `threshold` failures on,
+ * every further failure locks the key for BASE_LOCK_MS doubled per extra failure, capped at MAX_LOCK_MS.
+ * Keys are the account from one IP (so a stranger guessing cannot lock the owner out from elsewhere)
+ * and the IP across accounts, with a higher threshold since many users can share an address.
+ * Guessing one account from many IPs is slowed by the per-account `login` bucket above.
+ * Store errors are logged and treated as "not locked", like middleware/rateLimit.js.
+ */
+const LOCKOUT = {
+  FAILURE_WINDOW_MS: HOUR,
+  BASE_LOCK_MS: 30 * SECOND,
+  MAX_LOCK_MS: HOUR,
+  threshold: { accountIp: 5, ip: 20 },
+};
+
+function lockoutKeys({ ip, account } = {}) {
+  const keys = [];
+  if (account && ip) keys.push({ kind: 'accountIp', id: `${accountKey(account)}|${ip}` });
+  if (ip) keys.push({ kind: 'ip', id: ip });
+  return keys;
+}
+
+/**
+ * Is a login for these keys locked out?
+ * @param {Object} keys - { ip, account }
+ * @returns {Promise<Number>} seconds left, 0 when not locked
+ */
+async function loginLockedFor(keys) {
+  try {
+    const store = getStore();
+    let retryAfter = 0;
+    for (const { kind, id } of lockoutKeys(keys)) {
+      const lock = await store.get(`lock:login:${kind}:${id}`);
+      if (lock) retryAfter = Math.max(retryAfter, secondsUntil(lock.resetAt));
+    }
+    return retryAfter;
+  } catch (err) {
+    console.warn('loginLockedFor failed:', err.message);
+    return 0;
+  }
+}
+
+/**
+ * Record a failed login (bad password, unknown email, bad 2FA code)
+ * @param {Object} keys - { ip, account }
+ * @returns {Promise<Number>} seconds the caller is now locked out for, 0 when not locked
+ */
+async function recordLoginFailure(keys) {
+  try {
+    const store = getStore();
+    let lockedFor = 0;
+    for (const { kind, id } of lockoutKeys(keys)) {
+      const { count } = await store.increment(`fail:login:${kind}:${id}`, LOCKOUT.FAILURE_WINDOW_MS);
+      const over = count - LOCKOUT.threshold[kind];
+      if (over < 0) continue;
+      const lockMs = Math.min(LOCKOUT.BASE_LOCK_MS * 2 ** over, LOCKOUT.MAX_LOCK_MS);
+      await store.set(`lock:login:${kind}:${id}`, count, lockMs);
+      lockedFor = Math.max(lockedFor, Math.ceil(lockMs / SECOND));
+    }
+    return lockedFor;
+  } catch (err) {
+    console.warn('recordLoginFailure failed:', err.message);
+    return 0;
+  }
+}
+
+/**
+ * Forget the failed logins of an account from this IP after a successful one. IP-wide failures are
+ * kept: one good password must not unlock guessing against other accounts.
+ * @param {Object} keys - { ip, account }
+ */
+async function clearLoginFailures(keys) {
+  try {
+    const store = getStore();
+    for (const { kind, id } of lockoutKeys(keys)) {
+      if (kind === 'ip') continue;
+      await store.reset(`fail:login:${kind}:${id}`);
+      await store.reset(`lock:login:${kind}:${id}`);
+    }
+  } catch (err) {
+    console.warn('clearLoginFailures failed:', err.message);
+  }
+}
+
+module.exports = {
+  LIMITS,
+  LOCKOUT,
+  createMemoryStore,
+  registerStore,
+  consume,
+  loginLockedFor,
+  recordLoginFailure,
+  clearLoginFailures,
+};
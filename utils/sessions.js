@@ -0,0 +1,138 @@
+// backend/utils/sessions.js
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { sessionRoom } = require('../socket/presence');
+
+// Access tokens are short-lived; clients renew them with POST /api/auth/refresh
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Between the password step and the second factor of a 2FA login
+const CHALLENGE_TOKEN_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const CHALLENGE_AUDIENCE = '2fa-challenge';
+
+/**
+ * Sign an access token for a session: { id, sid }
+ * @param {ObjectId|String} userId
+ * @param {ObjectId|String} sessionId
+ * @returns {String}
+ */
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ id: String(userId), sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+// device details stored on the session for GET /api/auth/sessions
+function requestMeta(req) {
+  return { userAgent: req.get('user-agent') || '', ip: req.ip || '' };
+}
+
+/**
+ * Start a session for a user who just proved who they are (register / login)
+ * @param {import('express').Request} req
+ * @param {Object} user - User document
+ * @returns {Promise<{ token: String, refreshToken: String, expiresIn: String }>}
+ */
+async function startSession(req, user) {
+  const { session, refreshToken } = await Session.issue(user._id, requestMeta(req));
+  return { token: signAccessToken(user._id, session._id), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * The login response: new session tokens plus the public profile
+ * @param {import('express').Request} req
+ * @param {Object} user - User document
+ * @returns {Promise<Object>}
+ */
+async function loginPayload(req, user) {
+  const { token, refreshToken, expiresIn } = await startSession(req, user);
+  return {
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      avatar: user.avatar,
+    },
+  };
+}
+
+/**
+ * Short-lived token proving the password step of a 2FA login passed.
+ * It is not an access token: it only works with POST /api/auth/2fa/verify.
+ * @param {Object} user - User document
+ * @returns {{ challengeToken: String, expiresIn: String }}
+ */
+function signChallengeToken(user) {
+  const challengeToken = jwt.sign({}, process.env.JWT_SECRET, {
+    subject: String(user._id),
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: CHALLENGE_TOKEN_TTL,
+  });
+  return { challengeToken, expiresIn: CHALLENGE_TOKEN_TTL };
+}
+
+/**
+ * @param {String} challengeToken
+ * @returns {String|null} user id, null when malformed, forged or expired
+ */
+function readChallengeToken(challengeToken) {
+  try {
+    return jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE }).sub;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Rotate a refresh token into a new access + refresh token pair
+ * @param {import('express').Request} req
+ * @param {String} refreshToken
+ * @returns {Promise<{ token: String, refreshToken: String, expiresIn: String, userId: ObjectId }>}
+ * @throws {Error} with status 401 (see Session.rotate)
+ */
+async function refreshSession(req, refreshToken) {
+  const { session, refreshToken: next } = await Session.rotate(refreshToken, requestMeta(req));
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: next,
+    expiresIn: ACCESS_TOKEN_TTL,
+    userId: session.user,
+  };
+}
+
+/**
+ * Revoke the active sessions matching `filter` and disconnect their sockets
+ * @param {import('socket.io').Server|undefined} io
+ * @param {Object} filter - Session filter, e.g. { user } or { user, _id: { $ne: current } }
+ * @param {String} reason
+ * @returns {Promise<Number>} how many sessions were revoked
+ */
+async function revokeSessions(io, filter, reason) {
+  const ids = await Session.find({ ...filter, revokedAt: null }).distinct('_id');
+  if (ids.length === 0) return 0;
+
+  await Session.updateMany({ _id: { $in: ids } }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+  if (io) {
+    for (const id of ids) {
+      io.to(sessionRoom(id)).emit('sessionRevoked', { reason });
+      io.in(sessionRoom(id)).disconnectSockets(true);
+    }
+  }
+  return ids.length;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  startSession,
+  loginPayload,
+  signChallengeToken,
+  readChallengeToken,
+  refreshSession,
+  revokeSessions,
+};
@@ -0,0 +1,75 @@
+// backend/utils/text.js
+// Helpers for structure inside free text (posts, comments)
+
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+
+// "#tag" at the start or after a non-word char (so "a#b" and "&#39;" are not tags)
+const HASHTAG_RE = /(^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]+)/gu;
+
+/**
+ * Normalize a tag as stored on Post.tags and used in /api/tags/:tag
+ * @param {String} tag - with or without the leading '#'
+ * @returns {String} lowercase tag without '#', '' when not a valid tag
+ */
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') return '';
+  const t = tag.trim().replace(/^#/, '').toLowerCase();
+  if (!t || t.length > MAX_TAG_LENGTH || !/^[\p{L}\p{N}_]+$/u.test(t) || !/\p{L}/u.test(t)) return '';
+  return t;
+}
+
+/**
+ * Extract unique hashtags from text, in order of first appearance
+ * @param {String} text
+ * @returns {Array<String>} normalized tags (see normalizeTag)
+ */
+function extractHashtags(text) {
+  if (!text || typeof text !== 'string') return [];
+  const tags = new Set();
+  for (const match of text.matchAll(HASHTAG_RE)) {
+    const tag = normalizeTag(match[2]);
+    if (tag) tags.add(tag);
+    if (tags.size >= MAX_TAGS) break;
+  }
+  return [...tags];
+}
+
+const MAX_MENTIONS = 20;
+
+// "@name" at the start or after a char that can't be part of an email/handle
+const MENTION_RE = /(^|[^\p{L}\p{N}_.@])@([\p{L}\p{N}_.-]+)/gu;
+
+/**
+ * Extract unique @mentioned usernames from text, in order of first appearance.
+ * Trailing punctuation ("@bob." / "@bob-") is not part of the name.
+ * Names are returned as written; resolving them to users is User.resolveMentions.
+ * @param {String} text
+ * @returns {Array<String>}
+ */
+function extractMentions(text) {
+  if (!text || typeof text !== 'string') return [];
+  const names = new Set();
+  for (const match of text.matchAll(MENTION_RE)) {
+    const name = match[2].replace(/[.-]+$/, '');
+    if (name) names.add(name);
+    if (names.size >= MAX_MENTIONS) break;
+  }
+  return [...names];
+}
+
+/**
+ * Escape user input for use inside a RegExp / $regex
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  escapeRegex,
+  normalizeTag,
+  extractHashtags,
+  extractMentions
+};
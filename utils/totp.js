@@ -0,0 +1,136 @@
+// backend/utils/totp.js
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (the authenticator-app default: SHA-1, 6 digits, 30 s)
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// accept codes one step early / late to absorb clock drift
+const WINDOW = 1;
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32.indexOf(char);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * A new random shared secret (160 bits), base32 as authenticator apps expect
+ * @returns {String}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The code for one time step (HOTP over the step counter)
+ * @param {String} secret - base32
+ * @param {Number} step - floor(unixSeconds / STEP_SECONDS)
+ * @returns {String}
+ */
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the secret around the current time.
+ * Returns the matching step so callers can refuse a code that was already used.
+ * @param {String} secret - base32
+ * @param {String} code - digits typed by the user (spaces allowed)
+ * @param {Number} [now] - ms, defaults to the current time
+ * @returns {Number|null} matching step, null when the code is wrong
+ */
+function verifyCode(secret, code, now = Date.now()) {
+  const digits = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null;
+
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) return step;
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for QR codes / manual entry in an authenticator app
+ * @param {Object} options - { secret, account, issuer }
+ * @returns {String}
+ */
+function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * One-time recovery codes ("xxxxx-xxxxx"), shown to the user once
+ * @param {Number} count
+ * @returns {Array<String>}
+ */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex'); // 10 hex chars
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Stored form of a recovery code (case / dash insensitive)
+ * @param {String} code
+ * @returns {String}
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  generateSecret,
+  codeAt,
+  verifyCode,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  STEP_SECONDS,
+};
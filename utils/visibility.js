@@ -0,0 +1,117 @@
+// backend/utils/visibility.js
+const User = require('../models/User');
+
+/**
+ * What a viewer may see:
+ * - hidden: authors the viewer blocked or muted, and users who blocked the viewer
+ * - blocked: the same without mutes, for lookups of accounts themselves (user search)
+ * - following: the accounts the viewer follows plus the viewer, whose posts are visible even when
+ *   private (a pending follow request is not enough)
+ * Private authors are recognised by `authorPrivate`, copied onto their posts and comments.
+ * @param {String} viewerId
+ * @returns {Promise<{ hidden: Array<ObjectId>, blocked: Array<ObjectId>, following: Array<ObjectId> }>}
+ */
+async function viewerScope(viewerId) {
+  const [me, blockedMe] = await Promise.all([
+    User.findById(viewerId).select('blocked muted following').lean(),
+    User.find({ blocked: viewerId }).distinct('_id'),
+  ]);
+  const blocked = [...(me?.blocked || []), ...blockedMe];
+  return {
+    hidden: [...blocked, ...(me?.muted || [])],
+    blocked,
+    following: [...(me?.following || []), ...(me ? [me._id] : [])],
+  };
+}
+
+/**
+ * Mongo conditions for posts (or comments) the scope may see, by author
+ * @param {{ hidden, following }} scope - from viewerScope
+ * @param {String} prefix - path of the document inside an aggregation row ('' for the document itself)
+ * @returns {Array<Object>}
+ */
+function authorConditions(scope, prefix = '') {
+  const conditions = [
+    { [`${prefix}hidden`]: { $ne: true } },
+    { $or: [{ [`${prefix}authorPrivate`]: { $ne: true } }, { [`${prefix}user`]: { $in: scope.following } }] },
+  ];
+  if (scope.hidden.length) conditions.push({ [`${prefix}user`]: { $nin: scope.hidden } });
+  return conditions;
+}
+
+/**
+ * Narrow a Post filter to authors the viewer may see, leaving out posts hidden by moderators
+ * @param {Object} filter
+ * @param {{ hidden, following }} scope - from viewerScope
+ * @returns {Object}
+ */
+function visibleFilter(filter, scope) {
+  return { $and: [filter, ...authorConditions(scope)] };
+}
+
+/**
+ * Can the scope see a loaded post? Same rules as visibleFilter.
+ * @param {Object} post - with `user` (id or populated), `authorPrivate`, `hidden`
+ * @param {{ hidden, following }} scope
+ * @returns {Boolean}
+ */
+function isVisible(post, scope) {
+  const author = String(post.user?._id || post.user);
+  if (post.hidden || scope.hidden.some((id) => String(id) === author)) return false;
+  return !post.authorPrivate || scope.following.some((id) => String(id) === author);
+}
+
+/**
+ * Can the viewer open a single post (read and add comments, like, react, quote, repost)?
+ * The post is not hidden by a moderator, its author is the viewer, public, or followed by the viewer,
+ * and neither blocked the other.
+ * Muting does not count: it only keeps posts out of the viewer's own lists.
+ * @param {String} viewerId
+ * @param {Object} post - with `user` (id or populated) and `hidden`
+ * @returns {Promise<Boolean>}
+ */
+async function canViewPost(viewerId, post) {
+  if (post.hidden) return false;
+  const authorId = post.user?._id || post.user;
+  if (String(authorId) === String(viewerId)) return true;
+  if (await User.blockedBetween(viewerId, authorId)) return false;
+  return Boolean(await User.exists({ _id: authorId, $or: [{ isPrivate: { $ne: true } }, { followers: viewerId }] }));
+}
+
+/**
+ * Usernames whose sockets may hear live updates about a post (reaction counts...): its author and the
+ * followers neither side blocked. Same audience for public and private authors, so nothing leaks
+ * to accounts canViewPost would turn away. Empty for posts hidden by a moderator.
+ * @param {Object} post - with `user` (id or populated) and `hidden`
+ * @returns {Promise<Array<String>>}
+ */
+async function postAudience(post) {
+  if (post.hidden) return [];
+  const author = await User.findById(post.user?._id || post.user).select('username followers blocked').lean();
+  if (!author) return [];
+  const followers = await User.find({
+    _id: { $in: author.followers || [], $nin: author.blocked || [] },
+    blocked: { $ne: author._id },
+  }).distinct('username');
+  return [author.username, ...followers];
+}
+
+/**
+ * Hide originals the viewer may not see inside populated posts:
+ * reposts of them are dropped, quotes of them lose the embedded post (`quoteOf: null`, `quoteRemoved: true`).
+ * @param {Array<Object>} posts - plain, populated post objects
+ * @param {{ hidden, following }} scope
+ * @returns {Array<Object>}
+ */
+function hideOriginals(posts, scope) {
+  return posts.filter((post) => {
+    if (post.repostOf && !isVisible(post.repostOf, scope)) return false;
+    if (post.quoteOf && !isVisible(post.quoteOf, scope)) {
+      post.quoteOf = null;
+      post.quoteRemoved = true;
+    }
+    return true;
+  });
+}
+
+module.exports = { viewerScope, authorConditions, visibleFilter, isVisible, canViewPost, postAudience, hideOriginals };